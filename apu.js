@@ -0,0 +1,821 @@
+// Audio Processing Unit of the 2A03: sound channels clocked by the CPU clock (two pulses, triangle, noise and the delta
+// modulation channel that plays samples from CPU memory), the frame counter that clocks their envelopes, length
+// counters, linear counter and sweeps, and the mixer, whose output is downsampled to the sample rate of the host
+// https://www.nesdev.org/wiki/APU
+
+// NTSC CPU clock, which is also the clock of the APU: the 21.477272 MHz master clock divided by 12
+export const CPU_FREQUENCY = 21477272 / 12; // CPU cycles per second (~1.789773 MHz)
+
+// Sound channels, in the order of their enable bits in $4015 (the order of the arrays indexed by channel)
+export const APU_CHANNELS = ["pulse1", "pulse2", "triangle", "noise", "dmc"];
+
+// Values loaded in the length counters, indexed by bits 7-3 of $4003/$4007/$400B/$400F
+// https://www.nesdev.org/wiki/APU_Length_Counter
+const LENGTH_TABLE = [
+    10, 254, 20, 2, 40, 4, 80, 6, 160, 8, 60, 10, 14, 12, 26, 14,
+    12, 16, 24, 18, 48, 20, 96, 22, 192, 24, 72, 26, 16, 28, 32, 30,
+];
+
+// Output of the pulse sequencer for each duty cycle (12.5%, 25%, 50% and 25% negated) and step. The step counts down
+// from 0, so the waveforms start with 0 1 0 0 0 0 0 0, 0 1 1 0 0 0 0 0, 0 1 1 1 1 0 0 0 and 1 0 0 1 1 1 1 1
+// https://www.nesdev.org/wiki/APU_Pulse
+const DUTY_SEQUENCES = [
+    [0, 0, 0, 0, 0, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, 1, 1],
+    [0, 0, 0, 0, 1, 1, 1, 1],
+    [1, 1, 1, 1, 1, 1, 0, 0],
+];
+
+// Output of the triangle sequencer for each of its 32 steps
+// https://www.nesdev.org/wiki/APU_Triangle
+const TRIANGLE_SEQUENCE = [
+    15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0,
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+// Periods in CPU cycles of the noise timer ($400E bits 3-0) and the DMC timer ($4010 bits 3-0) in each region, the PAL
+// 2A07 runs them faster to make up for its slower clock
+// https://www.nesdev.org/wiki/APU_Noise
+// https://www.nesdev.org/wiki/APU_DMC
+const NOISE_PERIODS = {
+    NTSC: [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068],
+    PAL: [4, 8, 14, 30, 60, 88, 118, 148, 188, 236, 354, 472, 708, 944, 1890, 3778],
+};
+const DMC_PERIODS = {
+    NTSC: [428, 380, 340, 320, 286, 254, 226, 214, 190, 160, 142, 128, 106, 84, 72, 54],
+    PAL: [398, 354, 316, 298, 276, 236, 210, 198, 176, 148, 132, 118, 98, 78, 66, 50],
+};
+
+// Output levels of the mixer, which is not linear: the pulse channels are mixed by one table indexed by the sum of
+// their volumes (0-30) and the triangle, noise and DMC by another one indexed by 3 * triangle + 2 * noise + DMC (0-202)
+// https://www.nesdev.org/wiki/APU_Mixer#Lookup_Table
+const PULSE_TABLE = Array.from({ length: 31 }, (_, n) => (n === 0) ? 0 : 95.52 / (8128 / n + 100));
+const TND_TABLE = Array.from({ length: 203 }, (_, n) => (n === 0) ? 0 : 163.67 / (24329 / n + 100));
+
+// Cutoff frequencies of the high-pass filters of the audio output of the console, which remove the DC offset of the
+// mixer (the low-pass filter is done by averaging the output over each sample)
+// https://www.nesdev.org/wiki/APU_Mixer#Emulation
+const HIGH_PASS_FREQUENCIES = [90, 440];
+
+// Modes of the frame counter ($4017 bit 7) and the CPU cycles (counted from the reset of the frame counter) in which
+// they clock the envelopes (quarter frame) and the length counters and sweeps (half frame)
+// https://www.nesdev.org/wiki/APU_Frame_Counter
+const FRAME_MODES = {
+    FOUR_STEP: 4, // 7457 Q, 14913 Q+H, 22371 Q, 29829 Q+H, frame interrupt in 29828-29830, 29830 cycles long
+    FIVE_STEP: 5, // 7457 Q, 14913 Q+H, 22371 Q, 37281 Q+H, no frame interrupt, 37282 cycles long
+};
+
+class Envelope {
+    // Volume of the pulse and noise channels: a constant volume, or a decay level that goes from 15 to 0 (and loops
+    // if the length counter is halted) at the rate of the divider period
+    // https://www.nesdev.org/wiki/APU_Envelope
+    constructor() {
+        this.start = false; // Set by writes to the 4th register of the channel, restarts the decay
+        this.loop = false;
+        this.constant = false; // Constant volume instead of the decay level
+        this.period = 0; // Constant volume or period of the divider
+        this.divider = 0;
+        this.decay = 0; // Decay level (0-15)
+    }
+
+    write(value) {
+        // Bits 5-0 of the 1st register of the channel: --LC VVVV
+        this.loop = (value & 0x20) !== 0;
+        this.constant = (value & 0x10) !== 0;
+        this.period = value & 0x0F;
+    }
+
+    clock() {
+        // Quarter frame
+        if (this.start) {
+            this.start = false;
+            this.decay = 15;
+            this.divider = this.period;
+        } else if (this.divider === 0) {
+            this.divider = this.period;
+            if (this.decay > 0) {
+                this.decay--;
+            } else if (this.loop) {
+                this.decay = 15;
+            }
+        } else {
+            this.divider--;
+        }
+    }
+
+    get volume() {
+        return this.constant ? this.period : this.decay;
+    }
+}
+
+class LengthCounter {
+    // Silences its channel when it reaches 0, it counts down unless it is halted and is only loaded while its channel
+    // is enabled in $4015
+    // https://www.nesdev.org/wiki/APU_Length_Counter
+    constructor() {
+        this.enabled = false;
+        this.halt = false;
+        this.value = 0;
+    }
+
+    load(index) {
+        if (this.enabled) {
+            this.value = LENGTH_TABLE[index];
+        }
+    }
+
+    setEnabled(enabled) {
+        // Disabling the channel in $4015 clears its length counter
+        this.enabled = enabled;
+        if (!enabled) {
+            this.value = 0;
+        }
+    }
+
+    clock() {
+        // Half frame
+        if (!this.halt && this.value > 0) {
+            this.value--;
+        }
+    }
+}
+
+class PulseChannel {
+    // Square wave with 4 duty cycles, registers $4000-$4003 (pulse 1) and $4004-$4007 (pulse 2)
+    // https://www.nesdev.org/wiki/APU_Pulse
+    constructor(onesComplement) {
+        this.envelope = new Envelope();
+        this.length = new LengthCounter();
+        this.duty = 0; // Duty cycle (index of DUTY_SEQUENCES)
+        this.step = 0; // Step of the sequencer (0-7)
+        this.period = 0; // 11 bit period of the timer in APU cycles
+        this.timer = 0;
+        // Sweep unit: changes the period by period >> shift every divider period half frames
+        // https://www.nesdev.org/wiki/APU_Sweep
+        this.sweep = {
+            enabled: false,
+            period: 0, // Period of the divider
+            negate: false,
+            shift: 0,
+            divider: 0,
+            reload: false,
+        };
+        // The sweep of pulse 1 negates the change in ones' complement (subtracting one more) and the one of pulse 2
+        // in two's complement
+        this.onesComplement = onesComplement;
+    }
+
+    writeRegister(register, value) {
+        // Write to the register 0-3 of the channel
+        switch (register) {
+        case 0: // DDLC VVVV: duty, length counter halt (envelope loop), constant volume, volume/envelope period
+            this.duty = value >> 6;
+            this.length.halt = (value & 0x20) !== 0;
+            this.envelope.write(value);
+            break;
+        case 1: // EPPP NSSS: sweep enabled, divider period, negate, shift
+            this.sweep.enabled = (value & 0x80) !== 0;
+            this.sweep.period = (value >> 4) & 0x07;
+            this.sweep.negate = (value & 0x08) !== 0;
+            this.sweep.shift = value & 0x07;
+            this.sweep.reload = true;
+            break;
+        case 2: // Low 8 bits of the period
+            this.period = (this.period & 0x0700) | value;
+            break;
+        case 3: // LLLL LHHH: length counter load, high 3 bits of the period. Restarts the envelope and the sequencer
+            this.period = (this.period & 0x00FF) | ((value & 0x07) << 8);
+            this.length.load(value >> 3);
+            this.envelope.start = true;
+            this.step = 0;
+            break;
+        }
+    }
+
+    clockTimer() {
+        // APU cycle (every other CPU cycle): the sequencer steps when the timer reaches 0
+        if (this.timer === 0) {
+            this.timer = this.period;
+            this.step = (this.step - 1) & 0x07;
+        } else {
+            this.timer--;
+        }
+    }
+
+    clockSweep() {
+        // Half frame: the period changes to the target period when the divider reaches 0, unless the channel is muted
+        const sweep = this.sweep;
+        if (sweep.divider === 0 && sweep.enabled && sweep.shift > 0 && !this.muted()) {
+            this.period = this.targetPeriod();
+        }
+        if (sweep.divider === 0 || sweep.reload) {
+            sweep.divider = sweep.period;
+            sweep.reload = false;
+        } else {
+            sweep.divider--;
+        }
+    }
+
+    targetPeriod() {
+        // Period that the sweep unit would set, computed continuously (even if the sweep is disabled)
+        const change = this.period >> this.sweep.shift;
+        if (!this.sweep.negate) {
+            return this.period + change;
+        }
+        return Math.max(0, this.period - change - (this.onesComplement ? 1 : 0));
+    }
+
+    muted() {
+        // Periods below 8 (frequencies above 12.4 kHz) and target periods above $7FF silence the channel
+        return this.period < 8 || this.targetPeriod() > 0x7FF;
+    }
+
+    output() {
+        // Volume (0-15) output by the channel in the current cycle
+        if (this.length.value === 0 || this.muted() || DUTY_SEQUENCES[this.duty][this.step] === 0) {
+            return 0;
+        }
+        return this.envelope.volume;
+    }
+}
+
+class TriangleChannel {
+    // Triangle wave of 32 steps, registers $4008-$400B. The linear counter silences it after a time given in quarter
+    // frames, besides the length counter
+    // https://www.nesdev.org/wiki/APU_Triangle
+    constructor() {
+        this.length = new LengthCounter();
+        this.step = 0; // Step of the sequencer (0-31)
+        this.period = 0; // 11 bit period of the timer in CPU cycles
+        this.timer = 0;
+        this.linearCounter = 0;
+        this.linearReload = 0; // Value loaded in the linear counter
+        this.linearReloadFlag = false; // Set by writes to $400B, reloads the linear counter in the next quarter frame
+        this.control = false; // Halts the length counter and keeps the reload flag set
+    }
+
+    writeRegister(register, value) {
+        // Write to the register 0-3 of the channel (register 1 is not used)
+        switch (register) {
+        case 0: // CRRR RRRR: control flag (length counter halt), linear counter reload value
+            this.control = (value & 0x80) !== 0;
+            this.length.halt = this.control;
+            this.linearReload = value & 0x7F;
+            break;
+        case 2: // Low 8 bits of the period
+            this.period = (this.period & 0x0700) | value;
+            break;
+        case 3: // LLLL LHHH: length counter load, high 3 bits of the period
+            this.period = (this.period & 0x00FF) | ((value & 0x07) << 8);
+            this.length.load(value >> 3);
+            this.linearReloadFlag = true;
+            break;
+        }
+    }
+
+    clockTimer() {
+        // CPU cycle: the sequencer only steps while both counters are not 0, so the triangle stops at its current
+        // level instead of going silent
+        if (this.timer === 0) {
+            this.timer = this.period;
+            if (this.length.value > 0 && this.linearCounter > 0) {
+                this.step = (this.step + 1) & 0x1F;
+            }
+        } else {
+            this.timer--;
+        }
+    }
+
+    clockLinearCounter() {
+        // Quarter frame
+        if (this.linearReloadFlag) {
+            this.linearCounter = this.linearReload;
+        } else if (this.linearCounter > 0) {
+            this.linearCounter--;
+        }
+        if (!this.control) {
+            this.linearReloadFlag = false;
+        }
+    }
+
+    output() {
+        return TRIANGLE_SEQUENCE[this.step];
+    }
+}
+
+class NoiseChannel {
+    // Pseudo-random output of a 15 bit linear feedback shift register, registers $400C-$400F. The short mode takes
+    // the feedback from bit 6 instead of bit 1, which gives a sequence of 93 or 31 steps that sounds metallic
+    // https://www.nesdev.org/wiki/APU_Noise
+    constructor(periods) {
+        this.envelope = new Envelope();
+        this.length = new LengthCounter();
+        this.periods = periods; // Timer periods of the region (see NOISE_PERIODS)
+        this.period = periods[0];
+        this.timer = 0;
+        this.shortMode = false;
+        this.shiftRegister = 1; // Loaded with 1 at power on
+    }
+
+    writeRegister(register, value) {
+        // Write to the register 0-3 of the channel (register 1 is not used)
+        switch (register) {
+        case 0: // --LC VVVV: length counter halt (envelope loop), constant volume, volume/envelope period
+            this.length.halt = (value & 0x20) !== 0;
+            this.envelope.write(value);
+            break;
+        case 2: // M--- PPPP: short mode, period index
+            this.shortMode = (value & 0x80) !== 0;
+            this.period = this.periods[value & 0x0F];
+            break;
+        case 3: // LLLL L---: length counter load. Restarts the envelope
+            this.length.load(value >> 3);
+            this.envelope.start = true;
+            break;
+        }
+    }
+
+    clockTimer() {
+        // CPU cycle: the shift register shifts right when the timer expires, with bit 0 XOR bit 1 (or 6) into bit 14
+        if (this.timer === 0) {
+            this.timer = this.period - 1;
+            const register = this.shiftRegister;
+            const feedback = (register ^ (register >> (this.shortMode ? 6 : 1))) & 0x01;
+            this.shiftRegister = (register >> 1) | (feedback << 14);
+        } else {
+            this.timer--;
+        }
+    }
+
+    output() {
+        // Silent while bit 0 of the shift register is set
+        if (this.length.value === 0 || (this.shiftRegister & 0x01)) {
+            return 0;
+        }
+        return this.envelope.volume;
+    }
+}
+
+class DmcChannel {
+    // Delta modulation channel, registers $4010-$4013: plays 1 bit delta encoded samples read from CPU memory ($C000-
+    // $FFFF) by the DMA unit, which steals CPU cycles for each byte. Every bit moves the 7 bit output level up or down
+    // by 2, and $4011 sets the level directly (used to play PCM samples)
+    // https://www.nesdev.org/wiki/APU_DMC
+    constructor(periods, dma) {
+        this.periods = periods; // Timer periods of the region (see DMC_PERIODS)
+        this.dma = dma; // DMA unit that fetches the sample bytes
+        this.irqEnabled = false;
+        this.loop = false;
+        this.period = periods[0];
+        this.timer = 0;
+        this.level = 0; // Output level (0-127)
+        this.sampleAddress = 0xC000; // Start address of the sample ($4012)
+        this.sampleLength = 1; // Length of the sample in bytes ($4013)
+        this.interrupt = false; // DMC interrupt flag ($4015 bit 7), asserts the IRQ line while set
+        // Memory reader: fetches the sample bytes into the sample buffer
+        this.currentAddress = 0xC000;
+        this.bytesRemaining = 0;
+        this.sampleBuffer = null; // Byte fetched and not played yet (or null when empty)
+        this.fetching = false; // The DMA of the next byte has been requested
+        // Output unit: plays the 8 bits of each byte from the sample buffer, from bit 0
+        this.shiftRegister = 0;
+        this.bitsRemaining = 8;
+        this.silence = true; // The buffer was empty at the start of the current byte
+    }
+
+    writeRegister(register, value) {
+        // Write to the register 0-3 of the channel
+        switch (register) {
+        case 0: // IL-- RRRR: IRQ enabled, loop, period index. Disabling the IRQ clears the interrupt flag
+            this.irqEnabled = (value & 0x80) !== 0;
+            this.loop = (value & 0x40) !== 0;
+            this.period = this.periods[value & 0x0F];
+            if (!this.irqEnabled) {
+                this.interrupt = false;
+            }
+            break;
+        case 1: // -DDD DDDD: output level
+            this.level = value & 0x7F;
+            break;
+        case 2: // Sample address: $C000 + A * 64
+            this.sampleAddress = 0xC000 | (value << 6);
+            break;
+        case 3: // Sample length: L * 16 + 1 bytes
+            this.sampleLength = (value << 4) + 1;
+            break;
+        }
+    }
+
+    setEnabled(enabled) {
+        // $4015 bit 4: disabling stops the sample after the byte in the buffer, enabling restarts it if it had ended
+        if (!enabled) {
+            this.bytesRemaining = 0;
+        } else if (this.bytesRemaining === 0) {
+            this.restart();
+        }
+    }
+
+    restart() {
+        this.currentAddress = this.sampleAddress;
+        this.bytesRemaining = this.sampleLength;
+    }
+
+    clockTimer() {
+        // CPU cycle: the output unit plays a bit when the timer expires and the memory reader requests the next byte
+        // as soon as the sample buffer is empty
+        if (this.timer === 0) {
+            this.timer = this.period - 1;
+            this.clockOutput();
+        } else {
+            this.timer--;
+        }
+        if (this.sampleBuffer === null && this.bytesRemaining > 0 && !this.fetching) {
+            this.fetching = true;
+            this.dma.requestDmc(this.currentAddress, (value) => this.receiveByte(value));
+        }
+    }
+
+    clockOutput() {
+        if (!this.silence) {
+            if (this.shiftRegister & 0x01) {
+                if (this.level <= 125) {
+                    this.level += 2;
+                }
+            } else if (this.level >= 2) {
+                this.level -= 2;
+            }
+        }
+        this.shiftRegister >>= 1;
+        this.bitsRemaining--;
+        if (this.bitsRemaining === 0) {
+            // New output cycle: the byte in the sample buffer is moved to the shift register
+            this.bitsRemaining = 8;
+            this.silence = this.sampleBuffer === null;
+            if (!this.silence) {
+                this.shiftRegister = this.sampleBuffer;
+                this.sampleBuffer = null;
+            }
+        }
+    }
+
+    receiveByte(value) {
+        // Byte read by the DMA: the address wraps around from $FFFF to $8000 and the end of the sample loops or
+        // requests an interrupt. When the channel was disabled (or reset) while the DMA was pending, the byte still
+        // fills the buffer but the sample has already ended
+        this.fetching = false;
+        this.sampleBuffer = value;
+        this.currentAddress = (this.currentAddress === 0xFFFF) ? 0x8000 : this.currentAddress + 1;
+        if (this.bytesRemaining === 0) {
+            return;
+        }
+        this.bytesRemaining--;
+        if (this.bytesRemaining === 0) {
+            if (this.loop) {
+                this.restart();
+            } else if (this.irqEnabled) {
+                this.interrupt = true;
+            }
+        }
+    }
+
+    output() {
+        return this.level;
+    }
+}
+
+class SampleOutput {
+    // One output of the APU (the mix or a single channel) at the sample rate of the host: the levels of the CPU cycles
+    // of each sample are added up and their average goes through the high-pass filters
+    constructor(sampleRate) {
+        this.samples = new Float32Array(Math.ceil(sampleRate / 10)); // Samples not taken yet (see take)
+        this.count = 0;
+        this.sum = 0; // Sum of the levels since the last sample
+        // First order high-pass filters, the coefficient is RC / (RC + dt)
+        this.filters = HIGH_PASS_FREQUENCIES.map((frequency) => {
+            const rc = 1 / (2 * Math.PI * frequency);
+            return { coefficient: rc / (rc + 1 / sampleRate), input: 0, output: 0 };
+        });
+    }
+
+    store(cycles) {
+        // End of a sample of the given number of CPU cycles
+        let sample = this.sum / cycles;
+        this.sum = 0;
+        for (const filter of this.filters) {
+            filter.output = filter.coefficient * (filter.output + sample - filter.input);
+            filter.input = sample;
+            sample = filter.output;
+        }
+        if (this.count < this.samples.length) {
+            this.samples[this.count++] = sample;
+        }
+    }
+
+    take() {
+        // Samples produced since the last call (in a new Float32Array). When they are not taken, the samples after
+        // the first 100ms are dropped
+        const samples = this.samples.slice(0, this.count);
+        this.count = 0;
+        return samples;
+    }
+}
+
+class Apu {
+    constructor(dma, region) {
+        this.pulse1 = new PulseChannel(true);
+        this.pulse2 = new PulseChannel(false);
+        this.triangle = new TriangleChannel();
+        this.noise = new NoiseChannel(NOISE_PERIODS[region]);
+        this.dmc = new DmcChannel(DMC_PERIODS[region], dma);
+
+        // Frame counter: clocks the envelopes every quarter frame and the length counters and sweeps every half frame,
+        // and in the 4-step mode requests an IRQ at the end of each sequence unless it is inhibited
+        this.frameCounter = {
+            mode: FRAME_MODES.FOUR_STEP,
+            irqInhibit: false,
+            interrupt: false, // Frame interrupt flag ($4015 bit 6), asserts the IRQ line while set
+            cycle: 0, // CPU cycles since the reset of the sequence
+            resetCycle: null, // CPU cycle in which a write to $4017 resets the sequence (or null)
+        };
+
+        // Downsampling of the mixer output (one value per CPU cycle) to the sample rate of the audio output. The
+        // output of each channel on its own can also be captured (for the mixer panel), and muted channels are left
+        // out of the mix
+        this.sampleRate = 0;
+        this.sampleCycles = 0; // CPU cycles since the last sample
+        this.samplePhase = 0; // Fraction of the sample period elapsed, in sampleRate / CPU_FREQUENCY units
+        this.output = null; // SampleOutput of the mix
+        this.channelOutputs = null; // SampleOutput of each channel while they are captured (or null)
+        this.muted = APU_CHANNELS.map(() => false); // Channels left out of the mix
+        this.setSampleRate(44100);
+    }
+
+    setSampleRate(sampleRate) {
+        // Sample rate of the audio output (the host rate), the samples not taken yet are discarded
+        this.sampleRate = sampleRate;
+        this.output = new SampleOutput(sampleRate);
+        if (this.channelOutputs !== null) {
+            this.setChannelCapture(true);
+        }
+    }
+
+    setChannelCapture(enabled) {
+        // Produce the samples of each channel on its own besides the mix (see takeChannelSamples)
+        this.channelOutputs = enabled ? APU_CHANNELS.map(() => new SampleOutput(this.sampleRate)) : null;
+    }
+
+    setChannelMuted(channel, muted) {
+        // Leave a channel (one of APU_CHANNELS) out of the mix, its captured samples are still produced
+        this.muted[APU_CHANNELS.indexOf(channel)] = muted;
+    }
+
+    channelStates() {
+        // State of each channel for the mixer panel: {channel, active (producing sound), period (of the timer: the 11
+        // bit register of the pulses and triangle, CPU cycles of the noise and DMC), frequency (Hz of the tone of the
+        // pulses and triangle, of the timer of the noise and of the bits of the DMC), volume (0-15, output level 0-127
+        // of the DMC), shortMode (noise)}
+        const pulseState = (channel, pulse) => ({
+            channel,
+            active: pulse.length.value > 0 && !pulse.muted() && pulse.envelope.volume > 0,
+            period: pulse.period,
+            frequency: CPU_FREQUENCY / (16 * (pulse.period + 1)),
+            volume: pulse.envelope.volume,
+        });
+        const triangle = this.triangle;
+        const noise = this.noise;
+        const dmc = this.dmc;
+        return [
+            pulseState("pulse1", this.pulse1),
+            pulseState("pulse2", this.pulse2),
+            {
+                channel: "triangle",
+                active: triangle.length.value > 0 && triangle.linearCounter > 0,
+                period: triangle.period,
+                frequency: CPU_FREQUENCY / (32 * (triangle.period + 1)),
+                volume: 15,
+            },
+            {
+                channel: "noise",
+                active: noise.length.value > 0 && noise.envelope.volume > 0,
+                period: noise.period,
+                frequency: CPU_FREQUENCY / noise.period,
+                volume: noise.envelope.volume,
+                shortMode: noise.shortMode,
+            },
+            {
+                channel: "dmc",
+                active: dmc.bytesRemaining > 0,
+                period: dmc.period,
+                frequency: CPU_FREQUENCY / dmc.period,
+                volume: dmc.level,
+            },
+        ];
+    }
+
+    readStatus() {
+        // $4015 read: IF-D NT21, length counter status of the channels (bits 0-3), DMC bytes remaining (bit 4) and
+        // frame and DMC interrupts (bits 6 and 7). The read clears the frame interrupt. Bit 5 is open bus
+        const status = this.peekStatus();
+        this.frameCounter.interrupt = false;
+        return status;
+    }
+
+    peekStatus() {
+        // $4015 without clearing the frame interrupt (for the debugger displays)
+        return (this.pulse1.length.value > 0 ? 0x01 : 0) | (this.pulse2.length.value > 0 ? 0x02 : 0) |
+            (this.triangle.length.value > 0 ? 0x04 : 0) | (this.noise.length.value > 0 ? 0x08 : 0) |
+            (this.dmc.bytesRemaining > 0 ? 0x10 : 0) | (this.frameCounter.interrupt ? 0x40 : 0) |
+            (this.dmc.interrupt ? 0x80 : 0);
+    }
+
+    writeRegister(address, value, cycle) {
+        // Write to one of the APU registers at $4000-$4017, cycle is the CPU cycle of the write
+        if (address <= 0x4003) {
+            this.pulse1.writeRegister(address - 0x4000, value);
+        } else if (address <= 0x4007) {
+            this.pulse2.writeRegister(address - 0x4004, value);
+        } else if (address <= 0x400B) {
+            this.triangle.writeRegister(address - 0x4008, value);
+        } else if (address <= 0x400F) {
+            this.noise.writeRegister(address - 0x400C, value);
+        } else if (address <= 0x4013) {
+            this.dmc.writeRegister(address - 0x4010, value);
+        } else if (address === 0x4015) {
+            // ---D NT21: enable the channels, disabled channels have their length counter cleared. Clears the DMC
+            // interrupt
+            this.pulse1.length.setEnabled((value & 0x01) !== 0);
+            this.pulse2.length.setEnabled((value & 0x02) !== 0);
+            this.triangle.length.setEnabled((value & 0x04) !== 0);
+            this.noise.length.setEnabled((value & 0x08) !== 0);
+            this.dmc.setEnabled((value & 0x10) !== 0);
+            this.dmc.interrupt = false;
+        } else if (address === 0x4017) {
+            // MI-- ----: mode and IRQ inhibit. The sequence is reset 3 CPU cycles after the write if it happens in
+            // an APU cycle (even CPU cycle) and 4 if it happens between APU cycles
+            const counter = this.frameCounter;
+            counter.mode = (value & 0x80) ? FRAME_MODES.FIVE_STEP : FRAME_MODES.FOUR_STEP;
+            counter.irqInhibit = (value & 0x40) !== 0;
+            if (counter.irqInhibit) {
+                counter.interrupt = false;
+            }
+            counter.resetCycle = cycle + ((cycle & 0x01) ? 4 : 3);
+        }
+    }
+
+    reset() {
+        // RESET: the channels are silenced as if $4015 was cleared, the triangle goes back to the first step, the DMC
+        // output level keeps only its lowest bit and the frame counter restarts its sequence in the same mode
+        this.writeRegister(0x4015, 0x00, 0);
+        this.triangle.step = 0;
+        this.dmc.level &= 0x01;
+        this.frameCounter.interrupt = false;
+        this.frameCounter.cycle = 0;
+        this.frameCounter.resetCycle = null;
+    }
+
+    get irqAsserted() {
+        return this.frameCounter.interrupt || this.dmc.interrupt;
+    }
+
+    step(cycle) {
+        // Run one CPU cycle of the APU, cycle is the CPU cycle (the timers of the pulse channels are clocked every
+        // APU cycle, the even CPU cycles, and the rest every CPU cycle)
+        if ((cycle & 0x01) === 0) {
+            this.pulse1.clockTimer();
+            this.pulse2.clockTimer();
+        }
+        this.triangle.clockTimer();
+        this.noise.clockTimer();
+        this.dmc.clockTimer();
+        this.stepFrameCounter(cycle);
+        this.outputSample();
+    }
+
+    stepFrameCounter(cycle) {
+        const counter = this.frameCounter;
+        if (cycle === counter.resetCycle) {
+            // Delayed effect of a write to $4017, the 5-step mode clocks the units immediately
+            counter.resetCycle = null;
+            counter.cycle = 0;
+            if (counter.mode === FRAME_MODES.FIVE_STEP) {
+                this.quarterFrame();
+                this.halfFrame();
+            }
+            return;
+        }
+        counter.cycle++;
+        const fourStep = counter.mode === FRAME_MODES.FOUR_STEP;
+        switch (counter.cycle) {
+        case 7457:
+        case 22371:
+            this.quarterFrame();
+            break;
+        case 14913:
+            this.quarterFrame();
+            this.halfFrame();
+            break;
+        case 29828:
+            this.frameInterrupt(fourStep);
+            break;
+        case 29829:
+            if (fourStep) {
+                this.quarterFrame();
+                this.halfFrame();
+                this.frameInterrupt(true);
+            }
+            break;
+        case 29830:
+            if (fourStep) {
+                this.frameInterrupt(true);
+                counter.cycle = 0;
+            }
+            break;
+        case 37281:
+            this.quarterFrame();
+            this.halfFrame();
+            break;
+        case 37282:
+            counter.cycle = 0;
+            break;
+        }
+    }
+
+    frameInterrupt(fourStep) {
+        // The 4-step sequence sets the frame interrupt flag in its last 3 cycles unless interrupts are inhibited
+        if (fourStep && !this.frameCounter.irqInhibit) {
+            this.frameCounter.interrupt = true;
+        }
+    }
+
+    quarterFrame() {
+        this.pulse1.envelope.clock();
+        this.pulse2.envelope.clock();
+        this.noise.envelope.clock();
+        this.triangle.clockLinearCounter();
+    }
+
+    halfFrame() {
+        this.pulse1.length.clock();
+        this.pulse2.length.clock();
+        this.triangle.length.clock();
+        this.noise.length.clock();
+        this.pulse1.clockSweep();
+        this.pulse2.clockSweep();
+    }
+
+    outputSample() {
+        // Add the mixer output of a CPU cycle to the current sample (and the output of each channel on its own to the
+        // captured ones) and store the samples when their period is over
+        const pulse1 = this.pulse1.output();
+        const pulse2 = this.pulse2.output();
+        const triangle = this.triangle.output();
+        const noise = this.noise.output();
+        const dmc = this.dmc.output();
+        const muted = this.muted;
+        this.output.sum += PULSE_TABLE[(muted[0] ? 0 : pulse1) + (muted[1] ? 0 : pulse2)] +
+            TND_TABLE[(muted[2] ? 0 : 3 * triangle) + (muted[3] ? 0 : 2 * noise) + (muted[4] ? 0 : dmc)];
+        const channelOutputs = this.channelOutputs;
+        if (channelOutputs !== null) {
+            channelOutputs[0].sum += PULSE_TABLE[pulse1];
+            channelOutputs[1].sum += PULSE_TABLE[pulse2];
+            channelOutputs[2].sum += TND_TABLE[3 * triangle];
+            channelOutputs[3].sum += TND_TABLE[2 * noise];
+            channelOutputs[4].sum += TND_TABLE[dmc];
+        }
+
+        this.sampleCycles++;
+        this.samplePhase += this.sampleRate;
+        if (this.samplePhase < CPU_FREQUENCY) {
+            return;
+        }
+        this.samplePhase -= CPU_FREQUENCY;
+        this.output.store(this.sampleCycles);
+        if (channelOutputs !== null) {
+            for (const output of channelOutputs) {
+                output.store(this.sampleCycles);
+            }
+        }
+        this.sampleCycles = 0;
+    }
+
+    takeSamples() {
+        // Samples of the mix produced since the last call (see SampleOutput.take)
+        return this.output.take();
+    }
+
+    takeChannelSamples() {
+        // Captured samples of each channel since the last call, {pulse1, pulse2, triangle, noise, dmc} (or null when
+        // the channels are not captured)
+        if (this.channelOutputs === null) {
+            return null;
+        }
+        return Object.fromEntries(APU_CHANNELS.map((channel, i) => [channel, this.channelOutputs[i].take()]));
+    }
+}
+
+export function createApu(dma, region = "NTSC") {
+    // Create the APU of a console in its power on state, the CPU bus sends it the writes to its registers. dma is the
+    // DMA unit that fetches the DMC samples and region ("NTSC" or "PAL") selects the noise and DMC periods (the rest of
+    // the timing is NTSC)
+    return new Apu(dma, region);
+}
@@ -0,0 +1,60 @@
+// AudioWorklet processor of the audio output (see audio.js): the emulator sends the samples of each frame through the
+// port of the node, they are kept in a ring buffer and played in blocks of 128 samples by the audio rendering thread.
+// Playback waits until 2 frames are buffered (and again after running out of samples) to absorb the jitter of the
+// animation frames, and the oldest samples are dropped when the buffer is full so the latency stays below 100ms
+
+class ApuOutputProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.buffer = new Float32Array(Math.round(sampleRate / 10)); // Ring buffer of 100ms of samples
+        this.readIndex = 0;
+        this.count = 0; // Samples in the buffer
+        this.prefill = Math.round(sampleRate / 30); // Samples buffered before the playback starts
+        this.playing = false;
+        // Messages: a Float32Array of samples, or null to discard the buffered samples
+        this.port.onmessage = (event) => {
+            if (event.data === null) {
+                this.count = 0;
+                this.playing = false;
+            } else {
+                this.write(event.data);
+            }
+        };
+    }
+
+    write(samples) {
+        const size = this.buffer.length;
+        for (let i = 0; i < samples.length; i++) {
+            if (this.count === size) {
+                this.readIndex = (this.readIndex + 1) % size;
+                this.count--;
+            }
+            this.buffer[(this.readIndex + this.count) % size] = samples[i];
+            this.count++;
+        }
+    }
+
+    process(inputs, outputs) {
+        const channels = outputs[0];
+        const output = channels[0];
+        if (!this.playing && this.count >= this.prefill) {
+            this.playing = true;
+        }
+        for (let i = 0; i < output.length; i++) {
+            if (this.playing && this.count > 0) {
+                output[i] = this.buffer[this.readIndex];
+                this.readIndex = (this.readIndex + 1) % this.buffer.length;
+                this.count--;
+            } else {
+                output[i] = 0;
+                this.playing = false;
+            }
+        }
+        for (let channel = 1; channel < channels.length; channel++) {
+            channels[channel].set(output);
+        }
+        return true;
+    }
+}
+
+registerProcessor("apu-output", ApuOutputProcessor);
@@ -0,0 +1,63 @@
+// Audio output of the browser interface: plays the samples of the "audio" events of the emulator through an
+// AudioWorklet (audio-processor.js), with a gain node for the volume. The time of the audio context is the clock the
+// frame scheduler follows while there is sound, so the emulation produces the samples at the rate they are played
+
+class AudioOutput {
+    constructor() {
+        this.context = null; // AudioContext, created by the first start (browsers only allow it after a user gesture)
+        this.node = null; // AudioWorkletNode of the processor, which keeps the samples in a ring buffer
+        this.gain = null; // GainNode of the volume
+        this.volume = 0.5; // Volume from 0 to 1
+    }
+
+    get sampleRate() {
+        // Sample rate of the host, which the APU has to produce (null before the first start)
+        return this.context ? this.context.sampleRate : null;
+    }
+
+    get currentTime() {
+        // Time in seconds of the audio played so far, it stops while the output is stopped
+        return this.context ? this.context.currentTime : 0;
+    }
+
+    async start() {
+        // Create the audio graph the first time and start playing, rejects if the browser has no AudioWorklet
+        if (this.context === null) {
+            const context = new AudioContext();
+            await context.audioWorklet.addModule(new URL("./audio-processor.js", import.meta.url));
+            this.node = new AudioWorkletNode(context, "apu-output", { numberOfInputs: 0, outputChannelCount: [1] });
+            this.gain = context.createGain();
+            this.gain.gain.value = this.volume;
+            this.node.connect(this.gain).connect(context.destination);
+            this.context = context;
+        }
+        await this.context.resume();
+    }
+
+    async stop() {
+        // Suspend the output and discard the samples not played yet
+        if (this.context !== null) {
+            this.node.port.postMessage(null);
+            await this.context.suspend();
+        }
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.gain !== null) {
+            this.gain.gain.value = volume;
+        }
+    }
+
+    push(samples) {
+        // Queue the samples of a frame (a Float32Array, copied to the audio thread so other listeners can keep it)
+        if (this.node !== null) {
+            this.node.port.postMessage(samples);
+        }
+    }
+}
+
+export function createAudioOutput() {
+    // Create the audio output, which does not touch the Web Audio API until it is started
+    return new AudioOutput();
+}
@@ -0,0 +1,175 @@
+// CPU memory bus: every memory access of the CPU goes through read and write, which decode the address and send the
+// access to the device mapped at that address
+// CPU memory map (https://www.nesdev.org/wiki/CPU_memory_map):
+/*
+$0000-$07FF     2KB internal RAM
+$0800-$1FFF     Mirrors of $0000-$07FF
+$2000-$2007     PPU registers
+$2008-$3FFF     Mirrors of $2000-$2007 (repeats every 8 bytes)
+$4000-$4017     APU and I/O registers
+$4018-$401F     APU and I/O functionality that is normally disabled
+$4020-$FFFF     Cartridge space: PRG-ROM, PRG-RAM and mapper registers
+*/
+
+class Bus {
+    constructor(ppu, dma, apu, controllers) {
+        this.ram = new Uint8Array(0x0800); // 2KB of internal CPU RAM in a Uint8Array (bytes)
+        this.ioRegisters = new Uint8Array(0x20); // Last values written to the APU and I/O registers at $4000-$401F
+        this.ppu = ppu;
+        this.dma = dma; // DMA unit, started by writes to $4014
+        this.apu = apu; // APU, registers at $4000-$4013, $4015 and $4017 (writes)
+        this.controllers = controllers; // Controllers of the 2 ports, read at $4016 and $4017 and strobed by $4016
+        this.mapper = null; // Mapper of the loaded cartridge
+
+        // Open bus: reading an address where no device drives the data bus returns the last value that was on the bus
+        // https://www.nesdev.org/wiki/Open_bus_behavior
+        this.openBus = 0;
+        // Access of the current CPU cycle (type is null when the cycle has no access), shown by the debugger
+        this.lastAccess = { type: null, address: 0, value: 0 };
+        // Function called (once) with the address of the next read before it is performed, the emulator halts the CPU
+        // there for a pending DMA (see Emulator.haltForDma)
+        this.beforeRead = null;
+    }
+
+    read(address) {
+        // Read a byte from CPU memory, with the side effects that reading some registers has (e.g. $2002)
+        address &= 0xFFFF;
+        if (this.beforeRead !== null) {
+            const beforeRead = this.beforeRead;
+            this.beforeRead = null;
+            beforeRead(address);
+        }
+        let value;
+        if (address < 0x2000) {
+            value = this.ram[address & 0x07FF]; // 2KB of RAM mirrored 4 times
+        } else if (address < 0x4000) {
+            value = this.ppu.readRegister(address & 0x0007); // 8 registers mirrored every 8 bytes
+        } else if (address === 0x4015) {
+            // The APU status is read inside the CPU and is not driven on the external data bus, so open bus keeps its
+            // value (bit 5 is not driven either)
+            value = this.apu.readStatus() | (this.openBus & 0x20);
+            this.recordAccess("read", address, value);
+            return value;
+        } else if (address < 0x4020) {
+            value = this.readIoRegister(address);
+        } else {
+            value = this.mapper ? this.mapper.cpuRead(address) : null;
+        }
+        if (value !== null) {
+            this.openBus = value;
+        }
+        this.recordAccess("read", address, this.openBus);
+        return this.openBus;
+    }
+
+    peek(address) {
+        // Read a byte from CPU memory without side effects (for the debugger displays)
+        address &= 0xFFFF;
+        if (address < 0x2000) {
+            return this.ram[address & 0x07FF];
+        }
+        if (address < 0x4000) {
+            return this.ppu.peekRegister(address & 0x0007);
+        }
+        if (address === 0x4016 || address === 0x4017) {
+            return this.controllers[address - 0x4016].peek() | (this.openBus & 0xE0);
+        }
+        if (address < 0x4020) {
+            return this.openBus;
+        }
+        const value = this.mapper ? this.mapper.cpuRead(address) : null;
+        return (value !== null) ? value : this.openBus;
+    }
+
+    write(address, value, cycle) {
+        // Write a byte to CPU memory, cycle is the CPU cycle in which the write happens (needed by some mappers)
+        address &= 0xFFFF;
+        value &= 0xFF;
+        this.openBus = value;
+        this.recordAccess("write", address, value);
+        if (address < 0x2000) {
+            this.ram[address & 0x07FF] = value;
+        } else if (address < 0x4000) {
+            this.ppu.writeRegister(address & 0x0007, value);
+        } else if (address < 0x4020) {
+            this.writeIoRegister(address, value, cycle);
+        } else if (this.mapper) {
+            this.mapper.cpuWrite(address, value, cycle);
+        }
+    }
+
+    recordAccess(type, address, value) {
+        this.lastAccess.type = type;
+        this.lastAccess.address = address;
+        this.lastAccess.value = value;
+    }
+
+    readIoRegister(address) {
+        // APU and I/O registers are write only except $4015 (APU status, see read) and $4016 and $4017 (controllers)
+        if (address === 0x4016 || address === 0x4017) {
+            // The controller drives bit 0, bits 1-4 are 0 with standard controllers and bits 5-7 are open bus
+            return this.controllers[address - 0x4016].read() | (this.openBus & 0xE0);
+        }
+        return null;
+    }
+
+    writeIoRegister(address, value, cycle) {
+        this.ioRegisters[address - 0x4000] = value;
+        if (address === 0x4014) {
+            this.dma.requestOam(value); // OAM DMA from the page $XX00-$XXFF
+        } else if (address <= 0x4013 || address === 0x4015 || address === 0x4017) {
+            this.apu.writeRegister(address, value, cycle);
+        } else if (address === 0x4016) {
+            for (const controller of this.controllers) {
+                controller.write(value);
+            }
+        }
+    }
+}
+
+// Bus with 64KB of RAM at every address and no devices, used to test the CPU on its own (e.g. with single instruction
+// test vectors) and to run plain 6502 programs. Every access is recorded with the CPU cycle in which it happens when a
+// clock is given
+class RamBus {
+    constructor(clock) {
+        this.ram = new Uint8Array(0x10000); // 64KB of RAM
+        this.accesses = []; // Accesses since the log was cleared: {cycle, address, value, type ("read" or "write")}
+        this.clock = clock; // Function that returns the current CPU cycle (or null to not record the accesses)
+        this.lastAccess = { type: null, address: 0, value: 0 }; // Access of the current CPU cycle (see Bus)
+    }
+
+    read(address) {
+        address &= 0xFFFF;
+        const value = this.ram[address];
+        if (this.clock) {
+            this.accesses.push({ cycle: this.clock(), address, value, type: "read" });
+        }
+        Object.assign(this.lastAccess, { type: "read", address, value });
+        return value;
+    }
+
+    peek(address) {
+        return this.ram[address & 0xFFFF];
+    }
+
+    write(address, value) {
+        address &= 0xFFFF;
+        value &= 0xFF;
+        this.ram[address] = value;
+        if (this.clock) {
+            this.accesses.push({ cycle: this.clock(), address, value, type: "write" });
+        }
+        Object.assign(this.lastAccess, { type: "write", address, value });
+    }
+}
+
+export function createBus(ppu, dma, apu, controllers) {
+    // Create the CPU bus of a console with its PPU, DMA unit, APU and the controllers of its 2 ports, the mapper is
+    // connected when a cartridge is loaded
+    return new Bus(ppu, dma, apu, controllers);
+}
+
+export function createRamBus(clock = null) {
+    // Create a RAM only bus that records its accesses if clock (which returns the CPU cycle of each access) is given
+    return new RamBus(clock);
+}
@@ -0,0 +1,148 @@
+// Parsing of iNES and NES 2.0 ROM files into a cartridge descriptor object
+// File format references:
+// https://www.nesdev.org/wiki/INES
+// https://www.nesdev.org/wiki/NES_2.0
+
+const HEADER_SIZE = 16; // Size in bytes of the iNES/NES 2.0 header
+const TRAINER_SIZE = 512; // Size in bytes of the optional trainer placed between the header and PRG-ROM
+const PRG_BANK_SIZE = 0x4000; // PRG-ROM sizes in the header are given in 16KB units
+const CHR_BANK_SIZE = 0x2000; // CHR-ROM sizes in the header are given in 8KB units
+
+// Nametable arrangements, the header can describe the first three and mappers can switch to single-screen modes
+export const MIRRORING = {
+    HORIZONTAL: "horizontal",
+    VERTICAL: "vertical",
+    FOUR_SCREEN: "four-screen",
+    SINGLE_SCREEN_A: "single-screen A",
+    SINGLE_SCREEN_B: "single-screen B"
+};
+
+// CPU/PPU timing of the cartridge as stored in byte 12 of NES 2.0 headers (or byte 9 of iNES headers)
+const TV_SYSTEMS = ["NTSC", "PAL", "Multiple-region", "Dendy"];
+
+export function parseHeader(romData) {
+    // Decode the 16 byte header at the beginning of romData and return an object describing the cartridge layout
+    // (without the PRG/CHR data itself, which is extracted by createCartridge)
+    // Malformed files throw an Error with a message that can be shown to the user
+    if (romData.length < HEADER_SIZE) {
+        throw new Error(`File is too small to be a NES ROM (${romData.length} bytes).`);
+    }
+    // Bytes 0-3 must contain the "NES" string followed by the MS-DOS end of file character
+    if (romData[0] !== 0x4E || romData[1] !== 0x45 || romData[2] !== 0x53 || romData[3] !== 0x1A) {
+        throw new Error("Missing iNES header: the file does not start with \"NES\\x1A\".");
+    }
+
+    const flags6 = romData[6];
+    const flags7 = romData[7];
+    // NES 2.0 headers are identified by bits 2-3 of byte 7 being 10
+    const isNes20 = (flags7 & 0x0C) === 0x08;
+    // Headers written by old tools (e.g. "DiskDude!") put garbage in bytes 7-15, in that case only the lower nibble of
+    // the mapper number in byte 6 can be trusted
+    const isArchaic = !isNes20 && (romData[12] | romData[13] | romData[14] | romData[15]) !== 0;
+
+    // Mapper number: bits 0-3 in byte 6, bits 4-7 in byte 7 and (NES 2.0 only) bits 8-11 in byte 8
+    let mapper = flags6 >> 4;
+    let submapper = 0;
+    if (!isArchaic) {
+        mapper |= flags7 & 0xF0;
+    }
+    if (isNes20) {
+        mapper |= (romData[8] & 0x0F) << 8;
+        submapper = romData[8] >> 4;
+    }
+
+    let mirroring = (flags6 & 0x01) ? MIRRORING.VERTICAL : MIRRORING.HORIZONTAL;
+    if (flags6 & 0x08) {
+        mirroring = MIRRORING.FOUR_SCREEN; // Bit 3 overrides bit 0 with four-screen VRAM on the cartridge
+    }
+
+    let prgRomSize;
+    let chrRomSize;
+    let prgRamSize;
+    let prgNvramSize = 0;
+    let chrRamSize;
+    let chrNvramSize = 0;
+    let tvSystem;
+    if (isNes20) {
+        // Byte 9 holds the most significant nibbles of the PRG-ROM (bits 0-3) and CHR-ROM (bits 4-7) sizes
+        prgRomSize = nes20RomSize(romData[4], romData[9] & 0x0F, PRG_BANK_SIZE);
+        chrRomSize = nes20RomSize(romData[5], romData[9] >> 4, CHR_BANK_SIZE);
+        // RAM sizes are stored as shift counts (64 << shift bytes, 0 meaning no RAM)
+        prgRamSize = nes20RamSize(romData[10] & 0x0F);
+        prgNvramSize = nes20RamSize(romData[10] >> 4);
+        chrRamSize = nes20RamSize(romData[11] & 0x0F);
+        chrNvramSize = nes20RamSize(romData[11] >> 4);
+        tvSystem = TV_SYSTEMS[romData[12] & 0x03];
+    } else {
+        prgRomSize = romData[4] * PRG_BANK_SIZE;
+        chrRomSize = romData[5] * CHR_BANK_SIZE;
+        // iNES 1.0 stores PRG-RAM in 8KB units and a value of 0 means 8KB for compatibility
+        prgRamSize = isArchaic ? 0x2000 : Math.max(romData[8], 1) * 0x2000;
+        // iNES 1.0 cannot describe CHR-RAM, so boards without CHR-ROM are assumed to have 8KB of it
+        chrRamSize = (chrRomSize === 0) ? 0x2000 : 0;
+        tvSystem = (!isArchaic && (romData[9] & 0x01)) ? TV_SYSTEMS[1] : TV_SYSTEMS[0];
+    }
+    if (!isNes20 && (flags6 & 0x02)) {
+        // iNES 1.0 cannot tell apart both kinds of PRG-RAM, with the battery flag set all of it is non volatile
+        prgNvramSize = prgRamSize;
+        prgRamSize = 0;
+    }
+
+    if (prgRomSize === 0) {
+        throw new Error("Invalid header: the ROM declares no PRG-ROM.");
+    }
+
+    return {
+        format: isNes20 ? "NES 2.0" : (isArchaic ? "Archaic iNES" : "iNES"),
+        mapper,
+        submapper,
+        mirroring,
+        battery: (flags6 & 0x02) !== 0,
+        hasTrainer: (flags6 & 0x04) !== 0,
+        prgRomSize,
+        chrRomSize,
+        prgRomBanks: prgRomSize / PRG_BANK_SIZE,
+        chrRomBanks: chrRomSize / CHR_BANK_SIZE,
+        prgRamSize,
+        prgNvramSize,
+        chrRamSize,
+        chrNvramSize,
+        tvSystem
+    };
+}
+
+export function createCartridge(romData) {
+    // Parse the header and split the file into trainer, PRG-ROM and CHR-ROM returning the complete cartridge
+    // descriptor, throwing an Error if the file is shorter than the sizes declared in the header
+    const header = parseHeader(romData);
+    const trainerSize = header.hasTrainer ? TRAINER_SIZE : 0;
+    const expectedSize = HEADER_SIZE + trainerSize + header.prgRomSize + header.chrRomSize;
+    if (romData.length < expectedSize) {
+        throw new Error(
+            `ROM file is truncated: the header declares ${expectedSize} bytes but the file has ${romData.length}.`);
+    }
+
+    // Offsets of each section in the file: header, trainer (optional), PRG-ROM and CHR-ROM
+    const prgStart = HEADER_SIZE + trainerSize;
+    const chrStart = prgStart + header.prgRomSize;
+    return {
+        ...header,
+        trainer: header.hasTrainer ? romData.slice(HEADER_SIZE, prgStart) : null,
+        prgRom: romData.slice(prgStart, chrStart),
+        chrRom: romData.slice(chrStart, chrStart + header.chrRomSize)
+    };
+}
+
+function nes20RomSize(lsb, msb, bankSize) {
+    // Decode a NES 2.0 ROM size: when the MSB nibble is 0xF the LSB uses exponent-multiplier notation
+    // (2^E * (MM * 2 + 1) bytes with E in bits 2-7 and MM in bits 0-1), otherwise the 12 bit value counts banks
+    if (msb === 0x0F) {
+        return (2 ** (lsb >> 2)) * ((lsb & 0x03) * 2 + 1);
+    }
+    return ((msb << 8) | lsb) * bankSize;
+}
+
+function nes20RamSize(shift) {
+    // NES 2.0 RAM sizes are 64 << shift bytes, a shift count of 0 means that there is no RAM of that kind
+    return (shift === 0) ? 0 : (64 << shift);
+}
@@ -0,0 +1,76 @@
+// Standard NES controller: 8 buttons read one bit at a time through $4016 (port 1) and $4017 (port 2)
+// https://www.nesdev.org/wiki/Standard_controller
+/*
+Writing 1 to bit 0 of $4016 (strobe) makes both controllers reload their shift register with the state of the buttons
+continuously, and writing 0 keeps the state latched. Each read returns the next button in bit 0 (1 = pressed) and
+shifts the register: A, B, Select, Start, Up, Down, Left, Right, then 1 in every read after the 8th (official
+controllers). While the strobe is 1, every read returns the state of A
+*/
+
+// Buttons in the order they are read, bit n of the button state is the button n
+export const BUTTONS = ["a", "b", "select", "start", "up", "down", "left", "right"];
+
+const UP_DOWN = 0x30; // Up and Down bits of the button state
+const LEFT_RIGHT = 0xC0; // Left and Right bits of the button state
+
+class StandardController {
+    constructor() {
+        this.buttons = 0; // Buttons held, one bit per button (see BUTTONS)
+        this.strobe = false;
+        this.shiftRegister = 0;
+        // Left+Right and Up+Down cannot be pressed together on a real D-pad and some games glitch when they are,
+        // when not allowed neither direction of the pair is reported
+        this.allowOpposingDirections = true;
+    }
+
+    setButton(button, pressed) {
+        // Press or release one of BUTTONS
+        const index = BUTTONS.indexOf(button);
+        if (index === -1) {
+            throw new Error(`Unknown controller button: ${button}`);
+        }
+        const mask = 1 << index;
+        this.buttons = pressed ? (this.buttons | mask) : (this.buttons & ~mask);
+    }
+
+    get state() {
+        // Button state the controller reports, without the opposing directions held together when they are not allowed
+        let state = this.buttons;
+        if (!this.allowOpposingDirections) {
+            for (const pair of [UP_DOWN, LEFT_RIGHT]) {
+                if ((state & pair) === pair) {
+                    state &= ~pair;
+                }
+            }
+        }
+        return state;
+    }
+
+    write(value) {
+        // Write to $4016: bit 0 is the strobe
+        this.strobe = (value & 0x01) !== 0;
+        if (this.strobe) {
+            this.shiftRegister = this.state;
+        }
+    }
+
+    read() {
+        // Read of the port: the next button in bit 0
+        if (this.strobe) {
+            this.shiftRegister = this.state;
+        }
+        const bit = this.shiftRegister & 0x01;
+        this.shiftRegister = (this.shiftRegister >> 1) | 0x80;
+        return bit;
+    }
+
+    peek() {
+        // Bit 0 the next read returns, without shifting (for the debugger displays)
+        return (this.strobe ? this.state : this.shiftRegister) & 0x01;
+    }
+}
+
+export function createController() {
+    // Create a standard controller with no buttons held
+    return new StandardController();
+}
@@ -0,0 +1,297 @@
+// Cycle by cycle execution of the CPU instructions. The 6502 accesses the bus in every cycle (reads when it has
+// nothing to read, e.g. while it adds the index to an address), so the execution of an instruction is a sequence: an
+// array with a function for each cycle, which performs the bus access of the cycle. The first function runs in the
+// cycle of the opcode fetch and the state of the instruction between cycles is kept in numeric fields of the CPU state
+// (cpu.cycle, the operands and the effective address), so executing an instruction does not allocate anything. The
+// instruction functions of execute.js run in the cycle of their first access of the operand. The sequence of each
+// opcode is found in a dispatch table built when the module loads (see createDispatchTable)
+// https://www.nesdev.org/6502_cpu.txt
+
+import { ACCESS, MODES, VARIANTS, opcodeTables } from './decode.js'; // Opcode tables, access kinds and addressing modes
+import * as execute from './execute.js'; // Functions to execute instructions based on the addressing mode
+
+// Addressing modes in which the index is added to a 16 bit address, the CPU reads from the address before fixing its
+// high byte and reads again if the indexing crossed a page boundary
+const INDEXED_MODES = [MODES.ABSOLUTE_X, MODES.ABSOLUTE_Y, MODES.INDIRECT_Y_INDEXED];
+
+// cpu.cycle of a sequence that finishes before its last cycle (not taken branches)
+const SEQUENCE_FINISHED = 0xFF;
+
+function createDispatchTable(opcodeTable, variant) {
+    // Table of the 256 opcodes of a variant with the sequence of the cycles of each one, with the instruction function
+    // and the handling of its access kind and addressing mode resolved in advance so the execution does not look them
+    // up by name
+    const table = new Array(0x100);
+    for (let opcode = 0x00; opcode <= 0xFF; opcode++) {
+        const instruction = opcodeTable[opcode];
+        const operation = execute[instruction.operation];
+        switch (instruction.access) {
+        case ACCESS.STACK:
+            // Stack instructions fetch their operands in the middle of their stack accesses (JSR)
+            table[opcode] = operation;
+            break;
+        case ACCESS.IMPLIED:
+            table[opcode] = impliedCycles(instruction, operation);
+            break;
+        case ACCESS.BRANCH:
+            table[opcode] = branchCycles(instruction, operation);
+            break;
+        default:
+            table[opcode] = memoryCycles(instruction, operation, variant);
+        }
+    }
+    return table;
+}
+
+// Dispatch table of each CPU variant (see createDispatchTable)
+export const dispatchTables = Object.fromEntries(
+    Object.entries(opcodeTables).map(([variant, opcodeTable]) => [variant, createDispatchTable(opcodeTable, variant)]));
+
+export function startInstruction(cpu) {
+    // Fetch and decode (with the dispatch table of the CPU variant) the instruction at the PC and return the sequence
+    // of its execution, which continues in the cycle of the fetch. cpu.currentInstructionCycles is set to the cycles
+    // remaining (including the current one) as soon as they are known
+    const opcode = cpu.bus.read(cpu.pc); // Fetch
+    cpu.pc = (cpu.pc + 1) & 0xFFFF;
+    cpu.currentInstructionCycles = cpu.opcodeTable[opcode].cycles;
+    cpu.cycle = 0;
+    return cpu.dispatchTable[opcode];
+}
+
+export function startInterrupt(cpu, vectorAddress) {
+    // Return the sequence of an interrupt (NMI, RESET or IRQ) that loads the PC from the vector at vectorAddress
+    cpu.interruptVector = vectorAddress;
+    cpu.currentInstructionCycles = 7;
+    cpu.cycle = 0;
+    return execute.interrupt;
+}
+
+export function runCycle(cpu, sequence) {
+    // Run the function of the next cycle of a sequence and return whether the sequence finished. The functions skip
+    // the next cycle (or the rest of them) by changing cpu.cycle
+    sequence[cpu.cycle++](cpu);
+    return cpu.cycle >= sequence.length;
+}
+
+function appendToLastCycle(cycles, next) {
+    // Run next at the end of the last cycle of a sequence being built
+    const last = cycles[cycles.length - 1];
+    cycles[cycles.length - 1] = (cpu) => {
+        last(cpu);
+        next(cpu);
+    };
+}
+
+function fetchFirstOperand(cpu) {
+    cpu.operand1 = cpu.bus.read(cpu.pc);
+    cpu.pc = (cpu.pc + 1) & 0xFFFF;
+}
+
+function fetchSecondOperand(cpu) {
+    cpu.operand2 = cpu.bus.read(cpu.pc);
+    cpu.pc = (cpu.pc + 1) & 0xFFFF;
+}
+
+function readNextByte(cpu) {
+    cpu.bus.read(cpu.pc); // Dummy read of the byte after the opcode
+}
+
+function readOperandAgain(cpu) {
+    cpu.bus.read(cpu.address);
+}
+
+function impliedCycles(instruction, operation) {
+    // The 1 cycle NOPs of the 65C02 execute in the cycle of the opcode fetch, the rest read the next byte in each of
+    // their cycles (2, or 3 for WAI and STP)
+    if (instruction.cycles === 1) {
+        return [operation];
+    }
+    const cycles = [execute.opcodeFetched];
+    while (cycles.length < instruction.cycles - 1) {
+        cycles.push(readNextByte);
+    }
+    cycles.push((cpu) => {
+        readNextByte(cpu);
+        operation(cpu);
+    });
+    return cycles;
+}
+
+function memoryCycles(instruction, operation, variant) {
+    // Instructions that access an operand in memory (and JMP): fetch of the operand bytes that follow the opcode (the
+    // operand of immediate addressing is read by the instruction), computation of the effective address and access
+    const cycles = [];
+    if (instruction.mode === MODES.IMMEDIATE) {
+        cycles.push((cpu) => {
+            cpu.pc = (cpu.pc + 1) & 0xFFFF; // The operand is read by the instruction in its next cycle
+            cpu.address = execute.getImmediate(cpu);
+        });
+    } else {
+        cycles.push(execute.opcodeFetched, fetchFirstOperand);
+        if (instruction.size === 3) {
+            cycles.push(fetchSecondOperand);
+        }
+    }
+
+    // Cycles after the operand fetch that compute the effective address of the operand in cpu.address, the indexed
+    // modes leave in cpu.pageCrossed if the indexing crossed a page boundary
+    switch (instruction.mode) {
+    case MODES.ZEROPAGE:
+        appendToLastCycle(cycles, (cpu) => {
+            cpu.address = execute.getZeropage(cpu, cpu.operand1);
+        });
+        break;
+    case MODES.ZEROPAGE_X:
+        cycles.push((cpu) => {
+            cpu.bus.read(cpu.operand1); // Dummy read of the zeropage address while the index is added
+            cpu.address = execute.getZeropageXIndexed(cpu, cpu.operand1);
+        });
+        break;
+    case MODES.ZEROPAGE_Y:
+        cycles.push((cpu) => {
+            cpu.bus.read(cpu.operand1);
+            cpu.address = execute.getZeropageYIndexed(cpu, cpu.operand1);
+        });
+        break;
+    case MODES.ABSOLUTE:
+        appendToLastCycle(cycles, (cpu) => {
+            cpu.address = execute.getAbsolute(cpu, cpu.operand1, cpu.operand2);
+        });
+        break;
+    case MODES.ABSOLUTE_X:
+        appendToLastCycle(cycles, (cpu) => {
+            cpu.address = execute.getAbsoluteX(cpu, cpu.operand1, cpu.operand2);
+        });
+        break;
+    case MODES.ABSOLUTE_Y:
+        appendToLastCycle(cycles, (cpu) => {
+            cpu.address = execute.getAbsoluteY(cpu, cpu.operand1, cpu.operand2);
+        });
+        break;
+    case MODES.INDIRECT:
+        cycles.push(...execute.getIndirect(variant));
+        break;
+    case MODES.ZEROPAGE_INDIRECT:
+        cycles.push(...execute.getZeropageIndirect());
+        break;
+    case MODES.ABSOLUTE_X_INDEXED_INDIRECT:
+        cycles.push(...execute.getAbsoluteXIndexedIndirect());
+        break;
+    case MODES.X_INDEXED_INDIRECT:
+        cycles.push(...execute.getXIndexedIndirect());
+        break;
+    case MODES.INDIRECT_Y_INDEXED:
+        cycles.push(...execute.getIndirectYIndexed());
+        break;
+    }
+
+    if (instruction.access === ACCESS.JUMP) {
+        // JMP loads the PC in the cycle of its last read
+        appendToLastCycle(cycles, (cpu) => operation(cpu, cpu.address));
+        return cycles;
+    }
+    const indexed = INDEXED_MODES.includes(instruction.mode);
+    if (indexed) {
+        // The address with the high byte not fixed yet is read, when the indexing crosses a page boundary the value
+        // is discarded and reads take an extra cycle to read it again from the fixed address. Writes and
+        // read-modify-writes always take this cycle, since they cannot undo a write to the wrong address (except the
+        // shifts and rotates of the 65C02, which read again before writing). The 65C02 reads the last byte of the
+        // instruction instead
+        if (instruction.pageCrossPenalty) {
+            appendToLastCycle(cycles, (cpu) => {
+                if (!cpu.pageCrossed) {
+                    cpu.cycle++;
+                }
+            });
+        }
+        if (variant === VARIANTS.WDC_65C02) {
+            cycles.push((cpu) => {
+                cpu.bus.read((cpu.pc - 1) & 0xFFFF);
+            });
+        } else {
+            cycles.push((cpu) => {
+                cpu.bus.read(cpu.pageCrossed ? ((cpu.address - 0x0100) & 0xFFFF) : cpu.address);
+            });
+        }
+        if (instruction.pageCrossPenalty) {
+            appendToLastCycle(cycles, (cpu) => {
+                cpu.currentInstructionCycles++;
+            });
+        }
+    }
+    // Cycles of the instruction without the extra one of the page crossings
+    const baseCycles = cycles.length + 1 - ((indexed && instruction.pageCrossPenalty) ? 1 : 0);
+
+    // Reads and writes access the operand in this cycle. Read-modify-write instructions read it and their two writes
+    // are delayed until the next two cycles (see writeMemory in execute.js)
+    cycles.push((cpu) => operation(cpu, cpu.address));
+    if (instruction.access === ACCESS.READ_MODIFY_WRITE) {
+        if (variant === VARIANTS.WDC_65C02) {
+            cycles.push((cpu) => {
+                execute.dropDelayedWrite(cpu); // The 65C02 reads the operand again instead of writing it back
+                cpu.bus.read(cpu.address);
+            });
+        } else {
+            cycles.push(execute.performDelayedWrite); // Write back of the unmodified value
+        }
+        cycles.push(execute.performDelayedWrite); // Write of the result
+    } else if (instruction.access === ACCESS.READ) {
+        // 65C02 reads that take more cycles after reading their operand (ADC and SBC in decimal mode and NOP $5C)
+        // read it again in each of them
+        if (variant === VARIANTS.WDC_65C02 && instruction.decimalCycle) {
+            cycles[cycles.length - 1] = (cpu) => {
+                operation(cpu, cpu.address);
+                if (cpu.status & 0x08) {
+                    cpu.currentInstructionCycles++;
+                } else {
+                    cpu.cycle = SEQUENCE_FINISHED;
+                }
+            };
+            cycles.push(readOperandAgain);
+        }
+        for (let cycle = baseCycles; cycle < instruction.cycles; cycle++) {
+            cycles.push(readOperandAgain);
+        }
+    }
+    return cycles;
+}
+
+function branchCycles(instruction, operation) {
+    // The branch is decided in the cycle of the operand fetch. A taken branch reads the next opcode while the
+    // displacement is added to the low byte of the PC, and if the target is in another page it reads from the address
+    // with the high byte not fixed yet. BBR and BBS first fetch the zeropage address and read the byte they test
+    // (twice), which is passed to the instruction in cpu.value
+    const cycles = [execute.opcodeFetched];
+    if (instruction.mode === MODES.ZEROPAGE_RELATIVE) {
+        cycles.push((cpu) => {
+            cpu.pointer = cpu.bus.read(cpu.pc);
+            cpu.pc = (cpu.pc + 1) & 0xFFFF;
+        }, (cpu) => {
+            cpu.value = cpu.bus.read(cpu.pointer);
+        }, (cpu) => {
+            cpu.bus.read(cpu.pointer);
+        });
+    }
+    cycles.push((cpu) => {
+        const displacement = execute.getRelative(cpu, cpu.bus.read(cpu.pc));
+        cpu.pc = (cpu.pc + 1) & 0xFFFF;
+        cpu.address = cpu.pc; // Address of the next instruction
+        const taken = operation(cpu, displacement, cpu.value);
+        const pageCrossed = (cpu.address & 0xFF00) !== (cpu.pc & 0xFF00);
+        cpu.currentInstructionCycles += instruction.executionCycles(false, taken, pageCrossed) - instruction.cycles;
+        // The interrupts were polled in the opcode fetch, a taken branch that stays in the same page does not poll
+        // them again in this cycle although it is now the second to last one (see pollInterrupts)
+        cpu.skipPolling = taken && !pageCrossed;
+        if (!taken) {
+            cpu.cycle = SEQUENCE_FINISHED;
+        }
+    }, (cpu) => {
+        cpu.bus.read(cpu.address);
+        if ((cpu.address & 0xFF00) === (cpu.pc & 0xFF00)) {
+            cpu.cycle = SEQUENCE_FINISHED;
+        }
+    }, (cpu) => {
+        cpu.bus.read((cpu.address & 0xFF00) | (cpu.pc & 0x00FF));
+    });
+    return cycles;
+}
@@ -1,16 +1,101 @@
+// CPU variants that the core can emulate, each one executes its own opcode table (see opcodeTables)
+export const VARIANTS = {
+    RP2A03: "2A03", // Ricoh 2A03 of the NES: NMOS 6502 without decimal mode
+    NMOS_6502: "6502", // MOS 6502: ADC and SBC operate in BCD when the decimal flag is set
+    WDC_65C02: "65C02", // WDC 65C02: CMOS 6502 with new instructions and addressing modes and no unofficial opcodes
+};
+
+// Kinds of memory access of the instructions, the timing of an instruction is its base number of cycles plus the extra
+// cycles that its access kind can take (see OpCode.executionCycles)
+// https://www.nesdev.org/6502_cpu.txt
+export const ACCESS = {
+    READ: 0, // Reads its operand from memory (extra cycle if the indexing crosses a page boundary)
+    WRITE: 1, // Writes its operand to memory
+    READ_MODIFY_WRITE: 2, // Reads its operand, writes it back unmodified and then writes the result
+    BRANCH: 3, // Conditional branch (extra cycle if taken and another one if the target is in another page)
+    STACK: 4, // Pushes or pulls registers on the stack (includes BRK, JSR, RTS and RTI)
+    JUMP: 5, // Loads the PC from the operand (JMP)
+    IMPLIED: 6, // Only operates on registers (implied and accumulator addressing)
+};
+
+// Addressing modes as numbers, the execution of the instructions switches on them instead of comparing the strings of
+// the reference (see the table of addressing modes below)
+export const MODES = {
+    ACCUMULATOR: 0, // A
+    ABSOLUTE: 1, // abs
+    ABSOLUTE_X: 2, // abs,X
+    ABSOLUTE_Y: 3, // abs,Y
+    IMMEDIATE: 4, // #
+    IMPLIED: 5, // impl
+    INDIRECT: 6, // ind
+    X_INDEXED_INDIRECT: 7, // X,ind
+    INDIRECT_Y_INDEXED: 8, // ind,Y
+    RELATIVE: 9, // rel
+    ZEROPAGE: 10, // zpg
+    ZEROPAGE_X: 11, // zpg,X
+    ZEROPAGE_Y: 12, // zpg,Y
+    ZEROPAGE_INDIRECT: 13, // zpg,ind (65C02)
+    ABSOLUTE_X_INDEXED_INDIRECT: 14, // abs,X,ind (65C02)
+    ZEROPAGE_RELATIVE: 15, // zpg,rel (65C02 BBR and BBS)
+};
+
+const MODE_NUMBERS = {
+    "A": MODES.ACCUMULATOR,
+    "abs": MODES.ABSOLUTE,
+    "abs,X": MODES.ABSOLUTE_X,
+    "abs,Y": MODES.ABSOLUTE_Y,
+    "#": MODES.IMMEDIATE,
+    "impl": MODES.IMPLIED,
+    "ind": MODES.INDIRECT,
+    "X,ind": MODES.X_INDEXED_INDIRECT,
+    "ind,Y": MODES.INDIRECT_Y_INDEXED,
+    "rel": MODES.RELATIVE,
+    "zpg": MODES.ZEROPAGE,
+    "zpg,X": MODES.ZEROPAGE_X,
+    "zpg,Y": MODES.ZEROPAGE_Y,
+    "zpg,ind": MODES.ZEROPAGE_INDIRECT,
+    "abs,X,ind": MODES.ABSOLUTE_X_INDEXED_INDIRECT,
+    "zpg,rel": MODES.ZEROPAGE_RELATIVE,
+};
+
 // Prototype for the object representing an opcode in the 6502 CPU
 class OpCode {
-    constructor(instructionName, addressingMode, size, cycles) {
+    constructor(instructionName, addressingMode, size, cycles, access, pageCrossPenalty = false, unofficial = false) {
         this.instructionName = instructionName;   // Name of the instruction in a 3 letter string format
         this.addressingMode = addressingMode; // Addressing mode as a string
+        this.mode = MODE_NUMBERS[addressingMode]; // Addressing mode as a number (one of MODES)
         this.size = size; // Size in bytes from 1 to 3
-        this.cycles = cycles;   // Number of cycles needed to execute the instruction
+        this.cycles = cycles;   // Number of cycles needed to execute the instruction (without extra cycles)
+        this.access = access; // Kind of memory access (one of ACCESS)
+        this.pageCrossPenalty = pageCrossPenalty; // Takes an extra cycle when the indexing crosses a page boundary
+        this.unofficial = unofficial; // Opcode not documented by MOS (illegal opcode)
+        // Function of execute.js that executes the instruction (see cycles.js), separate for accumulator addressing
+        this.operation = (this.mode === MODES.ACCUMULATOR) ? `${instructionName}_ACCUMULATOR` : instructionName;
+        // Takes an extra cycle in decimal mode on the 65C02
+        this.decimalCycle = instructionName === "ADC" || instructionName === "SBC";
+    }
+
+    executionCycles(pageCrossed, branchTaken, branchPageCrossed) {
+        // Cycles of an execution of the instruction: read instructions with indexed addressing take an extra cycle to
+        // fix the high byte of the address when the indexing crosses a page boundary (writes and read-modify-writes
+        // always take it, so it is included in their base cycles) and taken branches take an extra cycle, plus one
+        // more when the target is in a different page than the next instruction
+        let cycles = this.cycles;
+        if (this.pageCrossPenalty && pageCrossed) {
+            cycles += 1;
+        }
+        if (this.access === ACCESS.BRANCH && branchTaken) {
+            cycles += branchPageCrossed ? 2 : 1;
+        }
+        return cycles;
     }
 }
 
 // Opcode matrix for the 6502 CPU as seen in https://www.masswerk.at/6502/6502_instruction_set.html
 // Instruction sizes are also included in the reference
-// Only legal opcodes are included for now
+// Unofficial (illegal) opcodes use the names of the reference except for AXS (SBX in the reference), the JAM opcodes
+// that halt the CPU are also known as KIL
+// https://www.nesdev.org/wiki/CPU_unofficial_opcodes
 
 // Addressing modes as described in https://www.masswerk.at/6502/6502_instruction_set.html:
 /*
@@ -36,160 +121,361 @@ zpg,X	zeropage, X-indexed	        OPC $LL,X	    operand is zeropage address;
                                                     effective address is address incremented by X without carry **
 zpg,Y	zeropage, Y-indexed	        OPC $LL,Y	    operand is zeropage address;
                                                     effective address is address incremented by Y without carry **
+65C02 only:
+zpg,ind	    zeropage, indirect	        OPC ($LL)	    operand is zeropage address;
+                                                    effective address is word in (LL, LL + 1): C.w($00LL)
+abs,X,ind	absolute, X-indexed, indirect	OPC ($LLHH,X)	operand is address;
+                                                    effective address is word at address incremented by X with carry
+zpg,rel	    zeropage, relative	        OPC $LL,$BB	    operand is zeropage address (tested by BBR and BBS);
+                                                    branch target is PC + signed offset BB
 */
 
 // TODO: move to a JSON file instead of hardcoding the opcodes in the code???
 
 export const opcodeMatrix = {
-    0x00: new OpCode("BRK", "impl", 1, 7),
-    0x01: new OpCode("ORA", "X,ind", 2, 6),
-    0x05: new OpCode("ORA", "zpg", 2, 3),
-    0x06: new OpCode("ASL", "zpg", 2, 5),
-    0x08: new OpCode("PHP", "impl", 1, 3),
-    0x09: new OpCode("ORA", "#", 2, 2),
-    0x0A: new OpCode("ASL", "A", 1, 2),
-    0x0D: new OpCode("ORA", "abs", 3, 4),
-    0x0E: new OpCode("ASL", "abs", 3, 6),
-    0x10: new OpCode("BPL", "rel", 2, 2),
-    0x11: new OpCode("ORA", "ind,Y", 2, 5),
-    0x15: new OpCode("ORA", "zpg,X", 2, 4),
-    0x16: new OpCode("ASL", "zpg,X", 2, 6),
-    0x18: new OpCode("CLC", "impl", 1, 2),
-    0x19: new OpCode("ORA", "abs,Y", 3, 4),
-    0x1D: new OpCode("ORA", "abs,X", 3, 4),
-    0x1E: new OpCode("ASL", "abs,X", 3, 7),
-    0x20: new OpCode("JSR", "abs", 3, 6),
-    0x21: new OpCode("AND", "X,ind", 2, 6),
-    0x24: new OpCode("BIT", "zpg", 2, 3),
-    0x25: new OpCode("AND", "zpg", 2, 3),
-    0x26: new OpCode("ROL", "zpg", 2, 5),
-    0x28: new OpCode("PLP", "impl", 1, 4),
-    0x29: new OpCode("AND", "#", 2, 2),
-    0x2A: new OpCode("ROL", "A", 1, 2),
-    0x2C: new OpCode("BIT", "abs", 3, 4),
-    0x2D: new OpCode("AND", "abs", 3, 4),
-    0x2E: new OpCode("ROL", "abs", 3, 6),
-    0x30: new OpCode("BMI", "rel", 2, 2),
-    0x31: new OpCode("AND", "ind,Y", 2, 5),
-    0x35: new OpCode("AND", "zpg,X", 2, 4),
-    0x36: new OpCode("ROL", "zpg,X", 2, 6),
-    0x38: new OpCode("SEC", "impl", 1, 2),
-    0x39: new OpCode("AND", "abs,Y", 3, 4),
-    0x3D: new OpCode("AND", "abs,X", 3, 4),
-    0x3E: new OpCode("ROL", "abs,X", 3, 7),
-    0x40: new OpCode("RTI", "impl", 1, 6),
-    0x41: new OpCode("EOR", "X,ind", 2, 6),
-    0x45: new OpCode("EOR", "zpg", 2, 3),
-    0x46: new OpCode("LSR", "zpg", 2, 5),
-    0x48: new OpCode("PHA", "impl", 1, 3),
-    0x49: new OpCode("EOR", "#", 2, 2),
-    0x4A: new OpCode("LSR", "A", 1, 2),
-    0x4C: new OpCode("JMP", "abs", 3, 3),
-    0x4D: new OpCode("EOR", "abs", 3, 4),
-    0x4E: new OpCode("LSR", "abs", 3, 6),
-    0x50: new OpCode("BVC", "rel", 2, 2),
-    0x51: new OpCode("EOR", "ind,Y", 2, 5),
-    0x55: new OpCode("EOR", "zpg,X", 2, 4),
-    0x56: new OpCode("LSR", "zpg,X", 2, 6),
-    0x58: new OpCode("CLI", "impl", 1, 2),
-    0x59: new OpCode("EOR", "abs,Y", 3, 4),
-    0x5D: new OpCode("EOR", "abs,X", 3, 4),
-    0x5E: new OpCode("LSR", "abs,X", 3, 7),
-    0x60: new OpCode("RTS", "impl", 1, 6),
-    0x61: new OpCode("ADC", "X,ind", 2, 6),
-    0x65: new OpCode("ADC", "zpg", 2, 3),
-    0x66: new OpCode("ROR", "zpg", 2, 5),
-    0x68: new OpCode("PLA", "impl", 1, 4),
-    0x69: new OpCode("ADC", "#", 2, 2),
-    0x6A: new OpCode("ROR", "A", 1, 2),
-    0x6C: new OpCode("JMP", "ind", 3, 5),
-    0x6D: new OpCode("ADC", "abs", 3, 4),
-    0x6E: new OpCode("ROR", "abs", 3, 6),
-    0x70: new OpCode("BVS", "rel", 2, 2),
-    0x71: new OpCode("ADC", "ind,Y", 2, 5),
-    0x75: new OpCode("ADC", "zpg,X", 2, 4),
-    0x76: new OpCode("ROR", "zpg,X", 2, 6),
-    0x78: new OpCode("SEI", "impl", 1, 2),
-    0x79: new OpCode("ADC", "abs,Y", 3, 4),
-    0x7D: new OpCode("ADC", "abs,X", 3, 4),
-    0x7E: new OpCode("ROR", "abs,X", 3, 7),
-    0x81: new OpCode("STA", "X,ind", 2, 6),
-    0x84: new OpCode("STY", "zpg", 2, 3),
-    0x85: new OpCode("STA", "zpg", 2, 3),
-    0x86: new OpCode("STX", "zpg", 2, 3),
-    0x88: new OpCode("DEY", "impl", 1, 2),
-    0x8A: new OpCode("TXA", "impl", 1, 2),
-    0x8C: new OpCode("STY", "abs", 3, 4),
-    0x8D: new OpCode("STA", "abs", 3, 4),
-    0x8E: new OpCode("STX", "abs", 3, 4),
-    0x90: new OpCode("BCC", "rel", 2, 2),
-    0x91: new OpCode("STA", "ind,Y", 2, 6),
-    0x94: new OpCode("STY", "zpg,X", 2, 4),
-    0x95: new OpCode("STA", "zpg,X", 2, 4),
-    0x96: new OpCode("STX", "zpg,Y", 2, 4),
-    0x98: new OpCode("TYA", "impl", 1, 2),
-    0x99: new OpCode("STA", "abs,Y", 3, 5),
-    0x9A: new OpCode("TXS", "impl", 1, 2),
-    0x9D: new OpCode("STA", "abs,X", 3, 5),
-    0xA0: new OpCode("LDY", "#", 2, 2),
-    0xA1: new OpCode("LDA", "X,ind", 2, 6),
-    0xA2: new OpCode("LDX", "#", 2, 2),
-    0xA4: new OpCode("LDY", "zpg", 2, 3),
-    0xA5: new OpCode("LDA", "zpg", 2, 3),
-    0xA6: new OpCode("LDX", "zpg", 2, 3),
-    0xA8: new OpCode("TAY", "impl", 1, 2),
-    0xA9: new OpCode("LDA", "#", 2, 2),
-    0xAA: new OpCode("TAX", "impl", 1, 2),
-    0xAC: new OpCode("LDY", "abs", 3, 4),
-    0xAD: new OpCode("LDA", "abs", 3, 4),
-    0xAE: new OpCode("LDX", "abs", 3, 4),
-    0xB0: new OpCode("BCS", "rel", 2, 2),
-    0xB1: new OpCode("LDA", "ind,Y", 2, 5),
-    0xB4: new OpCode("LDY", "zpg,X", 2, 4),
-    0xB5: new OpCode("LDA", "zpg,X", 2, 4),
-    0xB6: new OpCode("LDX", "zpg,Y", 2, 4),
-    0xB8: new OpCode("CLV", "impl", 1, 2),
-    0xB9: new OpCode("LDA", "abs,Y", 3, 4),
-    0xBA: new OpCode("TSX", "impl", 1, 2),
-    0xBC: new OpCode("LDY", "abs,X", 3, 4),
-    0xBD: new OpCode("LDA", "abs,X", 3, 4),
-    0xBE: new OpCode("LDX", "abs,Y", 3, 4),
-    0xC0: new OpCode("CPY", "#", 2, 2),
-    0xC1: new OpCode("CMP", "X,ind", 2, 6),
-    0xC4: new OpCode("CPY", "zpg", 2, 3),
-    0xC5: new OpCode("CMP", "zpg", 2, 3),
-    0xC6: new OpCode("DEC", "zpg", 2, 5),
-    0xC8: new OpCode("INY", "impl", 1, 2),
-    0xC9: new OpCode("CMP", "#", 2, 2),
-    0xCA: new OpCode("DEX", "impl", 1, 2),
-    0xCC: new OpCode("CPY", "abs", 3, 4),
-    0xCD: new OpCode("CMP", "abs", 3, 4),
-    0xCE: new OpCode("DEC", "abs", 3, 6),
-    0xD0: new OpCode("BNE", "rel", 2, 2),
-    0xD1: new OpCode("CMP", "ind,Y", 2, 5),
-    0xD5: new OpCode("CMP", "zpg,X", 2, 4),
-    0xD6: new OpCode("DEC", "zpg,X", 2, 6),
-    0xD8: new OpCode("CLD", "impl", 1, 2),
-    0xD9: new OpCode("CMP", "abs,Y", 3, 4),
-    0xDD: new OpCode("CMP", "abs,X", 3, 4),
-    0xDE: new OpCode("DEC", "abs,X", 3, 7),
-    0xE0: new OpCode("CPX", "#", 2, 2),
-    0xE1: new OpCode("SBC", "X,ind", 2, 6),
-    0xE4: new OpCode("CPX", "zpg", 2, 3),
-    0xE5: new OpCode("SBC", "zpg", 2, 3),
-    0xE6: new OpCode("INC", "zpg", 2, 5),
-    0xE8: new OpCode("INX", "impl", 1, 2),
-    0xE9: new OpCode("SBC", "#", 2, 2),
-    0xEA: new OpCode("NOP", "impl", 1, 2),
-    0xEC: new OpCode("CPX", "abs", 3, 4),
-    0xED: new OpCode("SBC", "abs", 3, 4),
-    0xEE: new OpCode("INC", "abs", 3, 6),
-    0xF0: new OpCode("BEQ", "rel", 2, 2),
-    0xF1: new OpCode("SBC", "ind,Y", 2, 5),
-    0xF5: new OpCode("SBC", "zpg,X", 2, 4),
-    0xF6: new OpCode("INC", "zpg,X", 2, 6),
-    0xF8: new OpCode("SED", "impl", 1, 2),
-    0xF9: new OpCode("SBC", "abs,Y", 3, 4),
-    0xFD: new OpCode("SBC", "abs,X", 3, 4),
-    0xFE: new OpCode("INC", "abs,X", 3, 7)
+    0x00: new OpCode("BRK", "impl", 1, 7, ACCESS.STACK),
+    0x01: new OpCode("ORA", "X,ind", 2, 6, ACCESS.READ),
+    0x02: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x03: new OpCode("SLO", "X,ind", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x04: new OpCode("NOP", "zpg", 2, 3, ACCESS.READ, false, true),
+    0x05: new OpCode("ORA", "zpg", 2, 3, ACCESS.READ),
+    0x06: new OpCode("ASL", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0x07: new OpCode("SLO", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x08: new OpCode("PHP", "impl", 1, 3, ACCESS.STACK),
+    0x09: new OpCode("ORA", "#", 2, 2, ACCESS.READ),
+    0x0A: new OpCode("ASL", "A", 1, 2, ACCESS.IMPLIED),
+    0x0B: new OpCode("ANC", "#", 2, 2, ACCESS.READ, false, true),
+    0x0C: new OpCode("NOP", "abs", 3, 4, ACCESS.READ, false, true),
+    0x0D: new OpCode("ORA", "abs", 3, 4, ACCESS.READ),
+    0x0E: new OpCode("ASL", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0x0F: new OpCode("SLO", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x10: new OpCode("BPL", "rel", 2, 2, ACCESS.BRANCH),
+    0x11: new OpCode("ORA", "ind,Y", 2, 5, ACCESS.READ, true),
+    0x12: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x13: new OpCode("SLO", "ind,Y", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x14: new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ, false, true),
+    0x15: new OpCode("ORA", "zpg,X", 2, 4, ACCESS.READ),
+    0x16: new OpCode("ASL", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE),
+    0x17: new OpCode("SLO", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x18: new OpCode("CLC", "impl", 1, 2, ACCESS.IMPLIED),
+    0x19: new OpCode("ORA", "abs,Y", 3, 4, ACCESS.READ, true),
+    0x1A: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x1B: new OpCode("SLO", "abs,Y", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x1C: new OpCode("NOP", "abs,X", 3, 4, ACCESS.READ, true, true),
+    0x1D: new OpCode("ORA", "abs,X", 3, 4, ACCESS.READ, true),
+    0x1E: new OpCode("ASL", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE),
+    0x1F: new OpCode("SLO", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x20: new OpCode("JSR", "abs", 3, 6, ACCESS.STACK),
+    0x21: new OpCode("AND", "X,ind", 2, 6, ACCESS.READ),
+    0x22: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x23: new OpCode("RLA", "X,ind", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x24: new OpCode("BIT", "zpg", 2, 3, ACCESS.READ),
+    0x25: new OpCode("AND", "zpg", 2, 3, ACCESS.READ),
+    0x26: new OpCode("ROL", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0x27: new OpCode("RLA", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x28: new OpCode("PLP", "impl", 1, 4, ACCESS.STACK),
+    0x29: new OpCode("AND", "#", 2, 2, ACCESS.READ),
+    0x2A: new OpCode("ROL", "A", 1, 2, ACCESS.IMPLIED),
+    0x2B: new OpCode("ANC", "#", 2, 2, ACCESS.READ, false, true),
+    0x2C: new OpCode("BIT", "abs", 3, 4, ACCESS.READ),
+    0x2D: new OpCode("AND", "abs", 3, 4, ACCESS.READ),
+    0x2E: new OpCode("ROL", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0x2F: new OpCode("RLA", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x30: new OpCode("BMI", "rel", 2, 2, ACCESS.BRANCH),
+    0x31: new OpCode("AND", "ind,Y", 2, 5, ACCESS.READ, true),
+    0x32: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x33: new OpCode("RLA", "ind,Y", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x34: new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ, false, true),
+    0x35: new OpCode("AND", "zpg,X", 2, 4, ACCESS.READ),
+    0x36: new OpCode("ROL", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE),
+    0x37: new OpCode("RLA", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x38: new OpCode("SEC", "impl", 1, 2, ACCESS.IMPLIED),
+    0x39: new OpCode("AND", "abs,Y", 3, 4, ACCESS.READ, true),
+    0x3A: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x3B: new OpCode("RLA", "abs,Y", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x3C: new OpCode("NOP", "abs,X", 3, 4, ACCESS.READ, true, true),
+    0x3D: new OpCode("AND", "abs,X", 3, 4, ACCESS.READ, true),
+    0x3E: new OpCode("ROL", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE),
+    0x3F: new OpCode("RLA", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x40: new OpCode("RTI", "impl", 1, 6, ACCESS.STACK),
+    0x41: new OpCode("EOR", "X,ind", 2, 6, ACCESS.READ),
+    0x42: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x43: new OpCode("SRE", "X,ind", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x44: new OpCode("NOP", "zpg", 2, 3, ACCESS.READ, false, true),
+    0x45: new OpCode("EOR", "zpg", 2, 3, ACCESS.READ),
+    0x46: new OpCode("LSR", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0x47: new OpCode("SRE", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x48: new OpCode("PHA", "impl", 1, 3, ACCESS.STACK),
+    0x49: new OpCode("EOR", "#", 2, 2, ACCESS.READ),
+    0x4A: new OpCode("LSR", "A", 1, 2, ACCESS.IMPLIED),
+    0x4B: new OpCode("ALR", "#", 2, 2, ACCESS.READ, false, true),
+    0x4C: new OpCode("JMP", "abs", 3, 3, ACCESS.JUMP),
+    0x4D: new OpCode("EOR", "abs", 3, 4, ACCESS.READ),
+    0x4E: new OpCode("LSR", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0x4F: new OpCode("SRE", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x50: new OpCode("BVC", "rel", 2, 2, ACCESS.BRANCH),
+    0x51: new OpCode("EOR", "ind,Y", 2, 5, ACCESS.READ, true),
+    0x52: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x53: new OpCode("SRE", "ind,Y", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x54: new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ, false, true),
+    0x55: new OpCode("EOR", "zpg,X", 2, 4, ACCESS.READ),
+    0x56: new OpCode("LSR", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE),
+    0x57: new OpCode("SRE", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x58: new OpCode("CLI", "impl", 1, 2, ACCESS.IMPLIED),
+    0x59: new OpCode("EOR", "abs,Y", 3, 4, ACCESS.READ, true),
+    0x5A: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x5B: new OpCode("SRE", "abs,Y", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x5C: new OpCode("NOP", "abs,X", 3, 4, ACCESS.READ, true, true),
+    0x5D: new OpCode("EOR", "abs,X", 3, 4, ACCESS.READ, true),
+    0x5E: new OpCode("LSR", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE),
+    0x5F: new OpCode("SRE", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x60: new OpCode("RTS", "impl", 1, 6, ACCESS.STACK),
+    0x61: new OpCode("ADC", "X,ind", 2, 6, ACCESS.READ),
+    0x62: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x63: new OpCode("RRA", "X,ind", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x64: new OpCode("NOP", "zpg", 2, 3, ACCESS.READ, false, true),
+    0x65: new OpCode("ADC", "zpg", 2, 3, ACCESS.READ),
+    0x66: new OpCode("ROR", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0x67: new OpCode("RRA", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x68: new OpCode("PLA", "impl", 1, 4, ACCESS.STACK),
+    0x69: new OpCode("ADC", "#", 2, 2, ACCESS.READ),
+    0x6A: new OpCode("ROR", "A", 1, 2, ACCESS.IMPLIED),
+    0x6B: new OpCode("ARR", "#", 2, 2, ACCESS.READ, false, true),
+    0x6C: new OpCode("JMP", "ind", 3, 5, ACCESS.JUMP),
+    0x6D: new OpCode("ADC", "abs", 3, 4, ACCESS.READ),
+    0x6E: new OpCode("ROR", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0x6F: new OpCode("RRA", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x70: new OpCode("BVS", "rel", 2, 2, ACCESS.BRANCH),
+    0x71: new OpCode("ADC", "ind,Y", 2, 5, ACCESS.READ, true),
+    0x72: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x73: new OpCode("RRA", "ind,Y", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x74: new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ, false, true),
+    0x75: new OpCode("ADC", "zpg,X", 2, 4, ACCESS.READ),
+    0x76: new OpCode("ROR", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE),
+    0x77: new OpCode("RRA", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x78: new OpCode("SEI", "impl", 1, 2, ACCESS.IMPLIED),
+    0x79: new OpCode("ADC", "abs,Y", 3, 4, ACCESS.READ, true),
+    0x7A: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x7B: new OpCode("RRA", "abs,Y", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x7C: new OpCode("NOP", "abs,X", 3, 4, ACCESS.READ, true, true),
+    0x7D: new OpCode("ADC", "abs,X", 3, 4, ACCESS.READ, true),
+    0x7E: new OpCode("ROR", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE),
+    0x7F: new OpCode("RRA", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0x80: new OpCode("NOP", "#", 2, 2, ACCESS.READ, false, true),
+    0x81: new OpCode("STA", "X,ind", 2, 6, ACCESS.WRITE),
+    0x82: new OpCode("NOP", "#", 2, 2, ACCESS.READ, false, true),
+    0x83: new OpCode("SAX", "X,ind", 2, 6, ACCESS.WRITE, false, true),
+    0x84: new OpCode("STY", "zpg", 2, 3, ACCESS.WRITE),
+    0x85: new OpCode("STA", "zpg", 2, 3, ACCESS.WRITE),
+    0x86: new OpCode("STX", "zpg", 2, 3, ACCESS.WRITE),
+    0x87: new OpCode("SAX", "zpg", 2, 3, ACCESS.WRITE, false, true),
+    0x88: new OpCode("DEY", "impl", 1, 2, ACCESS.IMPLIED),
+    0x89: new OpCode("NOP", "#", 2, 2, ACCESS.READ, false, true),
+    0x8A: new OpCode("TXA", "impl", 1, 2, ACCESS.IMPLIED),
+    0x8B: new OpCode("ANE", "#", 2, 2, ACCESS.READ, false, true),
+    0x8C: new OpCode("STY", "abs", 3, 4, ACCESS.WRITE),
+    0x8D: new OpCode("STA", "abs", 3, 4, ACCESS.WRITE),
+    0x8E: new OpCode("STX", "abs", 3, 4, ACCESS.WRITE),
+    0x8F: new OpCode("SAX", "abs", 3, 4, ACCESS.WRITE, false, true),
+    0x90: new OpCode("BCC", "rel", 2, 2, ACCESS.BRANCH),
+    0x91: new OpCode("STA", "ind,Y", 2, 6, ACCESS.WRITE),
+    0x92: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0x93: new OpCode("SHA", "ind,Y", 2, 6, ACCESS.WRITE, false, true),
+    0x94: new OpCode("STY", "zpg,X", 2, 4, ACCESS.WRITE),
+    0x95: new OpCode("STA", "zpg,X", 2, 4, ACCESS.WRITE),
+    0x96: new OpCode("STX", "zpg,Y", 2, 4, ACCESS.WRITE),
+    0x97: new OpCode("SAX", "zpg,Y", 2, 4, ACCESS.WRITE, false, true),
+    0x98: new OpCode("TYA", "impl", 1, 2, ACCESS.IMPLIED),
+    0x99: new OpCode("STA", "abs,Y", 3, 5, ACCESS.WRITE),
+    0x9A: new OpCode("TXS", "impl", 1, 2, ACCESS.IMPLIED),
+    0x9B: new OpCode("TAS", "abs,Y", 3, 5, ACCESS.WRITE, false, true),
+    0x9C: new OpCode("SHY", "abs,X", 3, 5, ACCESS.WRITE, false, true),
+    0x9D: new OpCode("STA", "abs,X", 3, 5, ACCESS.WRITE),
+    0x9E: new OpCode("SHX", "abs,Y", 3, 5, ACCESS.WRITE, false, true),
+    0x9F: new OpCode("SHA", "abs,Y", 3, 5, ACCESS.WRITE, false, true),
+    0xA0: new OpCode("LDY", "#", 2, 2, ACCESS.READ),
+    0xA1: new OpCode("LDA", "X,ind", 2, 6, ACCESS.READ),
+    0xA2: new OpCode("LDX", "#", 2, 2, ACCESS.READ),
+    0xA3: new OpCode("LAX", "X,ind", 2, 6, ACCESS.READ, false, true),
+    0xA4: new OpCode("LDY", "zpg", 2, 3, ACCESS.READ),
+    0xA5: new OpCode("LDA", "zpg", 2, 3, ACCESS.READ),
+    0xA6: new OpCode("LDX", "zpg", 2, 3, ACCESS.READ),
+    0xA7: new OpCode("LAX", "zpg", 2, 3, ACCESS.READ, false, true),
+    0xA8: new OpCode("TAY", "impl", 1, 2, ACCESS.IMPLIED),
+    0xA9: new OpCode("LDA", "#", 2, 2, ACCESS.READ),
+    0xAA: new OpCode("TAX", "impl", 1, 2, ACCESS.IMPLIED),
+    0xAB: new OpCode("LXA", "#", 2, 2, ACCESS.READ, false, true),
+    0xAC: new OpCode("LDY", "abs", 3, 4, ACCESS.READ),
+    0xAD: new OpCode("LDA", "abs", 3, 4, ACCESS.READ),
+    0xAE: new OpCode("LDX", "abs", 3, 4, ACCESS.READ),
+    0xAF: new OpCode("LAX", "abs", 3, 4, ACCESS.READ, false, true),
+    0xB0: new OpCode("BCS", "rel", 2, 2, ACCESS.BRANCH),
+    0xB1: new OpCode("LDA", "ind,Y", 2, 5, ACCESS.READ, true),
+    0xB2: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0xB3: new OpCode("LAX", "ind,Y", 2, 5, ACCESS.READ, true, true),
+    0xB4: new OpCode("LDY", "zpg,X", 2, 4, ACCESS.READ),
+    0xB5: new OpCode("LDA", "zpg,X", 2, 4, ACCESS.READ),
+    0xB6: new OpCode("LDX", "zpg,Y", 2, 4, ACCESS.READ),
+    0xB7: new OpCode("LAX", "zpg,Y", 2, 4, ACCESS.READ, false, true),
+    0xB8: new OpCode("CLV", "impl", 1, 2, ACCESS.IMPLIED),
+    0xB9: new OpCode("LDA", "abs,Y", 3, 4, ACCESS.READ, true),
+    0xBA: new OpCode("TSX", "impl", 1, 2, ACCESS.IMPLIED),
+    0xBB: new OpCode("LAS", "abs,Y", 3, 4, ACCESS.READ, true, true),
+    0xBC: new OpCode("LDY", "abs,X", 3, 4, ACCESS.READ, true),
+    0xBD: new OpCode("LDA", "abs,X", 3, 4, ACCESS.READ, true),
+    0xBE: new OpCode("LDX", "abs,Y", 3, 4, ACCESS.READ, true),
+    0xBF: new OpCode("LAX", "abs,Y", 3, 4, ACCESS.READ, true, true),
+    0xC0: new OpCode("CPY", "#", 2, 2, ACCESS.READ),
+    0xC1: new OpCode("CMP", "X,ind", 2, 6, ACCESS.READ),
+    0xC2: new OpCode("NOP", "#", 2, 2, ACCESS.READ, false, true),
+    0xC3: new OpCode("DCP", "X,ind", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xC4: new OpCode("CPY", "zpg", 2, 3, ACCESS.READ),
+    0xC5: new OpCode("CMP", "zpg", 2, 3, ACCESS.READ),
+    0xC6: new OpCode("DEC", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0xC7: new OpCode("DCP", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xC8: new OpCode("INY", "impl", 1, 2, ACCESS.IMPLIED),
+    0xC9: new OpCode("CMP", "#", 2, 2, ACCESS.READ),
+    0xCA: new OpCode("DEX", "impl", 1, 2, ACCESS.IMPLIED),
+    0xCB: new OpCode("AXS", "#", 2, 2, ACCESS.READ, false, true),
+    0xCC: new OpCode("CPY", "abs", 3, 4, ACCESS.READ),
+    0xCD: new OpCode("CMP", "abs", 3, 4, ACCESS.READ),
+    0xCE: new OpCode("DEC", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0xCF: new OpCode("DCP", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xD0: new OpCode("BNE", "rel", 2, 2, ACCESS.BRANCH),
+    0xD1: new OpCode("CMP", "ind,Y", 2, 5, ACCESS.READ, true),
+    0xD2: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0xD3: new OpCode("DCP", "ind,Y", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xD4: new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ, false, true),
+    0xD5: new OpCode("CMP", "zpg,X", 2, 4, ACCESS.READ),
+    0xD6: new OpCode("DEC", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE),
+    0xD7: new OpCode("DCP", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xD8: new OpCode("CLD", "impl", 1, 2, ACCESS.IMPLIED),
+    0xD9: new OpCode("CMP", "abs,Y", 3, 4, ACCESS.READ, true),
+    0xDA: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0xDB: new OpCode("DCP", "abs,Y", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xDC: new OpCode("NOP", "abs,X", 3, 4, ACCESS.READ, true, true),
+    0xDD: new OpCode("CMP", "abs,X", 3, 4, ACCESS.READ, true),
+    0xDE: new OpCode("DEC", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE),
+    0xDF: new OpCode("DCP", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xE0: new OpCode("CPX", "#", 2, 2, ACCESS.READ),
+    0xE1: new OpCode("SBC", "X,ind", 2, 6, ACCESS.READ),
+    0xE2: new OpCode("NOP", "#", 2, 2, ACCESS.READ, false, true),
+    0xE3: new OpCode("ISC", "X,ind", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xE4: new OpCode("CPX", "zpg", 2, 3, ACCESS.READ),
+    0xE5: new OpCode("SBC", "zpg", 2, 3, ACCESS.READ),
+    0xE6: new OpCode("INC", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0xE7: new OpCode("ISC", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xE8: new OpCode("INX", "impl", 1, 2, ACCESS.IMPLIED),
+    0xE9: new OpCode("SBC", "#", 2, 2, ACCESS.READ),
+    0xEA: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED),
+    0xEB: new OpCode("SBC", "#", 2, 2, ACCESS.READ, false, true),
+    0xEC: new OpCode("CPX", "abs", 3, 4, ACCESS.READ),
+    0xED: new OpCode("SBC", "abs", 3, 4, ACCESS.READ),
+    0xEE: new OpCode("INC", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0xEF: new OpCode("ISC", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xF0: new OpCode("BEQ", "rel", 2, 2, ACCESS.BRANCH),
+    0xF1: new OpCode("SBC", "ind,Y", 2, 5, ACCESS.READ, true),
+    0xF2: new OpCode("JAM", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0xF3: new OpCode("ISC", "ind,Y", 2, 8, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xF4: new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ, false, true),
+    0xF5: new OpCode("SBC", "zpg,X", 2, 4, ACCESS.READ),
+    0xF6: new OpCode("INC", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE),
+    0xF7: new OpCode("ISC", "zpg,X", 2, 6, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xF8: new OpCode("SED", "impl", 1, 2, ACCESS.IMPLIED),
+    0xF9: new OpCode("SBC", "abs,Y", 3, 4, ACCESS.READ, true),
+    0xFA: new OpCode("NOP", "impl", 1, 2, ACCESS.IMPLIED, false, true),
+    0xFB: new OpCode("ISC", "abs,Y", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true),
+    0xFC: new OpCode("NOP", "abs,X", 3, 4, ACCESS.READ, true, true),
+    0xFD: new OpCode("SBC", "abs,X", 3, 4, ACCESS.READ, true),
+    0xFE: new OpCode("INC", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE),
+    0xFF: new OpCode("ISC", "abs,X", 3, 7, ACCESS.READ_MODIFY_WRITE, false, true)
+};
+
+// The 65C02 keeps the official opcodes of the 6502 and replaces the unofficial ones with its new instructions, the rest
+// of the unused opcodes are NOPs of different sizes and timings. JMP ($xxFF) reads the high byte of the target from the
+// next page (one cycle more) and the shifts and rotates with absolute,X addressing only take the extra cycle when the
+// indexing crosses a page boundary
+// The WDC 65C02 also has the bit instructions of the Rockwell 65C02 (RMB, SMB, BBR and BBS, with the bit number in
+// bits 4-6 of the opcode) and WAI and STP, which stop the CPU until an interrupt or a RESET
+// http://www.6502.org/tutorials/65c02opcodes.html
+const cmosOpcodes = {
+    0x04: new OpCode("TSB", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0x0C: new OpCode("TSB", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0x12: new OpCode("ORA", "zpg,ind", 2, 5, ACCESS.READ),
+    0x14: new OpCode("TRB", "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE),
+    0x1A: new OpCode("INC", "A", 1, 2, ACCESS.IMPLIED),
+    0x1C: new OpCode("TRB", "abs", 3, 6, ACCESS.READ_MODIFY_WRITE),
+    0x1E: new OpCode("ASL", "abs,X", 3, 6, ACCESS.READ_MODIFY_WRITE, true),
+    0x32: new OpCode("AND", "zpg,ind", 2, 5, ACCESS.READ),
+    0x34: new OpCode("BIT", "zpg,X", 2, 4, ACCESS.READ),
+    0x3A: new OpCode("DEC", "A", 1, 2, ACCESS.IMPLIED),
+    0x3C: new OpCode("BIT", "abs,X", 3, 4, ACCESS.READ, true),
+    0x3E: new OpCode("ROL", "abs,X", 3, 6, ACCESS.READ_MODIFY_WRITE, true),
+    0x52: new OpCode("EOR", "zpg,ind", 2, 5, ACCESS.READ),
+    0x5A: new OpCode("PHY", "impl", 1, 3, ACCESS.STACK),
+    0x5E: new OpCode("LSR", "abs,X", 3, 6, ACCESS.READ_MODIFY_WRITE, true),
+    0x64: new OpCode("STZ", "zpg", 2, 3, ACCESS.WRITE),
+    0x6C: new OpCode("JMP", "ind", 3, 6, ACCESS.JUMP),
+    0x72: new OpCode("ADC", "zpg,ind", 2, 5, ACCESS.READ),
+    0x74: new OpCode("STZ", "zpg,X", 2, 4, ACCESS.WRITE),
+    0x7A: new OpCode("PLY", "impl", 1, 4, ACCESS.STACK),
+    0x7C: new OpCode("JMP", "abs,X,ind", 3, 6, ACCESS.JUMP),
+    0x7E: new OpCode("ROR", "abs,X", 3, 6, ACCESS.READ_MODIFY_WRITE, true),
+    0x80: new OpCode("BRA", "rel", 2, 2, ACCESS.BRANCH),
+    // BIT # only sets the zero flag, there is no memory value whose bits 7 and 6 go to N and V
+    0x89: Object.assign(new OpCode("BIT", "#", 2, 2, ACCESS.READ), { operation: "BIT_IMMEDIATE" }),
+    0x92: new OpCode("STA", "zpg,ind", 2, 5, ACCESS.WRITE),
+    0x9C: new OpCode("STZ", "abs", 3, 4, ACCESS.WRITE),
+    0x9E: new OpCode("STZ", "abs,X", 3, 5, ACCESS.WRITE),
+    0xB2: new OpCode("LDA", "zpg,ind", 2, 5, ACCESS.READ),
+    0xCB: new OpCode("WAI", "impl", 1, 3, ACCESS.IMPLIED),
+    0xD2: new OpCode("CMP", "zpg,ind", 2, 5, ACCESS.READ),
+    0xDA: new OpCode("PHX", "impl", 1, 3, ACCESS.STACK),
+    0xDB: new OpCode("STP", "impl", 1, 3, ACCESS.IMPLIED),
+    0xF2: new OpCode("SBC", "zpg,ind", 2, 5, ACCESS.READ),
+    0xFA: new OpCode("PLX", "impl", 1, 4, ACCESS.STACK),
+};
+
+function cmosNop(opcode) {
+    // NOP of the 65C02 for an unused opcode, they read their operands but have no effect
+    switch (opcode) {
+    case 0x44:
+        return new OpCode("NOP", "zpg", 2, 3, ACCESS.READ);
+    case 0x54:
+    case 0xD4:
+    case 0xF4:
+        return new OpCode("NOP", "zpg,X", 2, 4, ACCESS.READ);
+    case 0x5C:
+        return new OpCode("NOP", "abs", 3, 8, ACCESS.READ);
+    case 0xDC:
+    case 0xFC:
+        return new OpCode("NOP", "abs", 3, 4, ACCESS.READ);
+    }
+    if ((opcode & 0x0F) === 0x02) {
+        return new OpCode("NOP", "#", 2, 2, ACCESS.READ);
+    }
+    return new OpCode("NOP", "impl", 1, 1, ACCESS.IMPLIED); // Columns 3 and B
+}
+
+function createCmosMatrix() {
+    // Opcode matrix of the 65C02 derived from the one of the 6502
+    const matrix = {};
+    for (let opcode = 0x00; opcode <= 0xFF; opcode++) {
+        matrix[opcode] = opcodeMatrix[opcode].unofficial ? cmosNop(opcode) : opcodeMatrix[opcode];
+    }
+    // Bit instructions: RMBn and SMBn (column 7) and BBRn and BBSn (column F), n in bits 4-6
+    for (let bit = 0; bit < 8; bit++) {
+        matrix[0x07 | (bit << 4)] = new OpCode(`RMB${bit}`, "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE);
+        matrix[0x87 | (bit << 4)] = new OpCode(`SMB${bit}`, "zpg", 2, 5, ACCESS.READ_MODIFY_WRITE);
+        matrix[0x0F | (bit << 4)] = new OpCode(`BBR${bit}`, "zpg,rel", 3, 5, ACCESS.BRANCH);
+        matrix[0x8F | (bit << 4)] = new OpCode(`BBS${bit}`, "zpg,rel", 3, 5, ACCESS.BRANCH);
+    }
+    return Object.assign(matrix, cmosOpcodes);
+}
+
+// Opcode table of each CPU variant, the 2A03 and the NMOS 6502 only differ in the behavior of ADC and SBC
+export const opcodeTables = {
+    [VARIANTS.RP2A03]: opcodeMatrix,
+    [VARIANTS.NMOS_6502]: opcodeMatrix,
+    [VARIANTS.WDC_65C02]: createCmosMatrix(),
 };
@@ -0,0 +1,71 @@
+// DMA unit of the 2A03: copies memory without the CPU while the CPU is halted. OAM DMA (a write to $4014) copies a
+// 256 byte page of CPU memory to OAM through $2004, and DMC DMA fetches the samples of the APU delta modulation channel
+// https://www.nesdev.org/wiki/DMA
+/*
+The DMA unit alternates get cycles (reads, even CPU cycles) and put cycles (writes, odd CPU cycles). A DMA first halts
+the CPU (halt cycle, the first read cycle of the CPU after the request since writes cannot be halted) and then:
+OAM DMA     256 get/put pairs, with an alignment cycle before them if the first cycle after the halt is a put cycle:
+            513 or 514 cycles
+DMC DMA     a dummy cycle and the get of the sample byte, with an alignment cycle before it if needed: 3 or 4 cycles
+When a DMC DMA is requested during an OAM DMA, its halt and dummy cycles run in parallel with the OAM DMA and its get
+replaces one of the OAM DMA, which needs an extra cycle to get back to its get/put alignment (2 cycles stolen)
+The halted CPU keeps reading the address of its halted read in the halt, dummy and alignment cycles, and performs the
+read when the DMA finishes, so reads with side effects ($2007, $4016, $4017) happen more than once
+*/
+
+class Dma {
+    constructor() {
+        this.oam = null; // OAM DMA in progress: {page, index, value (byte read in the last get or null), halted}
+        this.dmc = null; // DMC DMA in progress: {address, onRead, cycles (cycles since the halt)}
+    }
+
+    get active() {
+        // The CPU is halted while there is a DMA in progress
+        return this.oam !== null || this.dmc !== null;
+    }
+
+    requestOam(page) {
+        // Write to $4014: copy the page $XX00-$XXFF to OAM
+        this.oam = { page, index: 0, value: null, halted: false };
+    }
+
+    requestDmc(address, onRead) {
+        // Fetch of a sample byte by the DMC, onRead receives the byte read
+        this.dmc = { address, onRead, cycles: 0 };
+    }
+
+    step(bus, cycle, haltAddress) {
+        // Run one CPU cycle of the DMA unit. cycle is the CPU cycle (its parity tells get from put cycles) and
+        // haltAddress the address of the halted CPU read, read again in the halt, dummy and alignment cycles
+        const getCycle = (cycle & 0x01) === 0;
+        const oam = this.oam;
+        const dmc = this.dmc;
+        if (dmc !== null && dmc.cycles >= 2 && getCycle) {
+            // The DMC get has priority over the OAM DMA
+            this.dmc = null;
+            dmc.onRead(bus.read(dmc.address));
+        } else if (oam !== null && oam.halted && getCycle && oam.value === null) {
+            oam.value = bus.read((oam.page << 8) | oam.index);
+        } else if (oam !== null && oam.halted && !getCycle && oam.value !== null) {
+            bus.write(0x2004, oam.value, cycle);
+            oam.value = null;
+            oam.index++;
+            if (oam.index === 0x100) {
+                this.oam = null;
+            }
+        } else {
+            bus.read(haltAddress); // Halt, dummy or alignment cycle
+        }
+        if (oam !== null) {
+            oam.halted = true;
+        }
+        if (dmc !== null) {
+            dmc.cycles++;
+        }
+    }
+}
+
+export function createDma() {
+    // Create the DMA unit of a console, the CPU bus sends it the OAM DMA requests
+    return new Dma();
+}
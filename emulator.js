@@ -0,0 +1,459 @@
+// Headless emulator core: an Emulator instance owns the state of one console (CPU, memory bus, PPU, APU, controllers
+// and cartridge) and runs it without touching the DOM, so it can be driven by the browser interface in main.js or
+// imported from Node. All the state lives in the instance, so several emulators can run side by side
+
+import { VARIANTS, opcodeTables } from './decode.js'; // CPU variants and their opcode tables
+import * as execute from './execute.js'; // Functions to execute instructions based on the addressing mode
+import * as cycles from './cycles.js'; // Cycle by cycle execution of the CPU instructions
+import { createCartridge } from './cartridge.js'; // iNES/NES 2.0 ROM file parsing
+import { createMapper } from './mappers.js'; // Cartridge boards that map PRG/CHR banks into CPU and PPU memory
+import { createBus, createRamBus } from './bus.js'; // CPU memory bus and RAM only bus of the plain programs
+import { createPpu } from './ppu.js'; // Picture Processing Unit
+import { createDma } from './dma.js'; // DMA unit (OAM and DMC DMA)
+import { createApu } from './apu.js'; // Audio Processing Unit
+import { createController } from './controller.js'; // Standard controllers
+import { formatTraceLine } from './trace.js'; // CPU trace in the nestest.log format
+
+// Events emitted by the emulator (the listeners are registered with on):
+//   "frame"        (frameBuffer)   The PPU finished a frame (256x240 RGBA pixels)
+//   "audio"        (samples, channelSamples)
+//                                  Audio samples produced by the APU during the frame that just finished, in a
+//                                  Float32Array at the sample rate set with setSampleRate (after the "frame" event),
+//                                  and the samples of each channel on its own while they are captured (see
+//                                  setChannelCapture): {pulse1, pulse2, triangle, noise, dmc} or null
+//   "instruction"  (instruction)   The CPU executed an instruction: {address, opcode, instructionName,
+//                                  addressingMode, size, cycles, unofficial, operands}
+//   "trace"        (line)          The CPU is about to execute an instruction: trace line in the nestest.log format
+//                                  (only formatted while there are listeners)
+//   "reset"        ()              The RESET sequence started (also at power on when a ROM is loaded)
+//   "halt"         ()              A JAM (or 65C02 STP) instruction halted the CPU
+
+export class Emulator {
+    constructor() {
+        this.cartridge = null; // Cartridge descriptor of the loaded ROM (see createCartridge)
+        this.mapper = null; // Mapper of the loaded cartridge
+        this.program = null; // Plain 6502 program loaded instead of a cartridge (see parseProgram)
+        this.frameCount = 0; // Frames completed by the PPU since the ROM was loaded
+        this.listeners = {}; // Listeners of each event
+        this.variant = VARIANTS.RP2A03; // CPU variant (one of VARIANTS), the 2A03 of the NES by default
+        this.sampleRate = 44100; // Sample rate of the audio output (see setSampleRate)
+        this.mutedChannels = new Set(); // APU channels left out of the audio output (see setChannelMuted)
+        this.channelCapture = false; // Whether the "audio" events carry the samples of each channel
+        // Standard controllers plugged in the 2 ports, kept when another ROM is loaded
+        this.controllers = [createController(), createController()];
+        this.sequence = null; // Cycles of the instruction or interrupt sequence being executed (see cycles.js)
+        this.currentInstruction = null; // Instruction being executed, for the "instruction" event
+        this.haltForDma = this.haltForDma.bind(this);
+        this.powerOn();
+    }
+
+    on(eventName, listener) {
+        // Register a listener of one of the events emitted by the emulator
+        (this.listeners[eventName] ??= []).push(listener);
+    }
+
+    off(eventName, listener) {
+        // Remove a listener registered with on
+        const listeners = this.listeners[eventName] ?? [];
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(eventName, ...args) {
+        for (const listener of this.listeners[eventName] ?? []) {
+            listener(...args);
+        }
+    }
+
+    get romLoaded() {
+        return this.cartridge !== null;
+    }
+
+    get loaded() {
+        // A cartridge or a plain program is loaded, so the CPU has something to execute
+        return this.cartridge !== null || this.program !== null;
+    }
+
+    loadRom(romData) {
+        // Insert the cartridge in the ROM file (bytes in a Uint8Array) and power on the console. Malformed files and
+        // unsupported mappers throw an Error and keep the previously loaded cartridge (if any)
+        const cartridge = createCartridge(romData);
+        const mapper = createMapper(cartridge);
+        this.cartridge = cartridge;
+        this.mapper = mapper;
+        this.program = null;
+        this.powerOn();
+
+        // The cartridge is accessed through its mapper by the CPU bus, so only the trainer needs to be copied to memory
+        if (cartridge.trainer) {
+            // The 512 byte trainer is loaded in the PRG-RAM area at 0x7000-0x71FF
+            for (let i = 0; i < cartridge.trainer.length; i++) {
+                mapper.cpuWrite(0x7000 + i, cartridge.trainer[i]);
+            }
+        }
+        this.reset();
+    }
+
+    loadProgram(program, { resetVector = null, start = null } = {}) {
+        // Load a plain 6502 program parsed by parseProgram (no cartridge) and power on the console with the CPU
+        // connected to 64KB of RAM, where the segments of the program are stored. resetVector is stored at
+        // $FFFC-$FFFD before the RESET sequence, and start (or else the start address given by the file) is loaded into
+        // the PC once the RESET sequence finishes, so programs can start without their own reset vector. The PPU keeps
+        // running but the CPU cannot access it
+        this.cartridge = null;
+        this.mapper = null;
+        this.program = program;
+        this.powerOn();
+        const bus = createRamBus();
+        for (const segment of program.segments) {
+            bus.ram.set(segment.bytes, segment.address);
+        }
+        if (resetVector !== null) {
+            bus.ram[0xFFFC] = resetVector & 0xFF;
+            bus.ram[0xFFFD] = (resetVector >> 8) & 0xFF;
+        }
+        this.connectBus(bus);
+        this.reset();
+        const pc = start ?? program.entryPoint;
+        if (pc !== null) {
+            this.step(); // Finish the RESET sequence
+            this.cpu.pc = pc & 0xFFFF;
+        }
+    }
+
+    powerOn() {
+        // Create the components of the console in their power on state and connect the cartridge to them
+        this.ppu = createPpu();
+        this.dma = createDma();
+        this.apu = createApu(this.dma, (this.cartridge?.tvSystem === "PAL") ? "PAL" : "NTSC");
+        this.apu.setSampleRate(this.sampleRate);
+        this.apu.setChannelCapture(this.channelCapture);
+        for (const channel of this.mutedChannels) {
+            this.apu.setChannelMuted(channel, true);
+        }
+        this.bus = createBus(this.ppu, this.dma, this.apu, this.controllers);
+        this.cpu = createCpuState(this.bus, this.variant);
+        this.sequence = null;
+        this.currentInstruction = null;
+        this.ppu.mapper = this.mapper;
+        this.bus.mapper = this.mapper;
+        this.frameCount = 0;
+    }
+
+    connectBus(bus) {
+        // Replace the memory bus of the CPU, e.g. with the RAM only bus of createRamBus to test the CPU on its own (the
+        // PPU and the cartridge are no longer accessible by the CPU)
+        this.bus = bus;
+        this.cpu.bus = bus;
+    }
+
+    setVariant(variant) {
+        // Select the CPU variant (one of VARIANTS), e.g. to test generic 6502 code with decimal mode. The registers are
+        // kept and the next instruction is decoded with the opcode table of the variant
+        if (opcodeTables[variant] === undefined) {
+            throw new Error(`Unknown CPU variant: ${variant}`);
+        }
+        this.variant = variant;
+        this.cpu.variant = variant;
+        this.cpu.opcodeTable = opcodeTables[variant];
+        this.cpu.dispatchTable = cycles.dispatchTables[variant];
+    }
+
+    setSampleRate(sampleRate) {
+        // Sample rate of the samples of the "audio" events, the one of the audio output of the host
+        this.sampleRate = sampleRate;
+        this.apu.setSampleRate(sampleRate);
+    }
+
+    setChannelMuted(channel, muted) {
+        // Leave an APU channel (one of APU_CHANNELS) out of the audio output, kept when another ROM is loaded
+        if (muted) {
+            this.mutedChannels.add(channel);
+        } else {
+            this.mutedChannels.delete(channel);
+        }
+        this.apu.setChannelMuted(channel, muted);
+    }
+
+    setChannelCapture(enabled) {
+        // Add the samples of each APU channel on its own to the "audio" events (for the mixer panel)
+        this.channelCapture = enabled;
+        this.apu.setChannelCapture(enabled);
+    }
+
+    setButton(port, button, pressed) {
+        // Press or release a button (one of BUTTONS) of the controller in port 0 or 1
+        this.controllers[port].setButton(button, pressed);
+    }
+
+    setOpposingDirections(allowed) {
+        // Whether the controllers report Left+Right and Up+Down held together (impossible on a real D-pad)
+        for (const controller of this.controllers) {
+            controller.allowOpposingDirections = allowed;
+        }
+    }
+
+    setCpuState(state) {
+        // Set the CPU registers {pc, sp, a, x, y, status} (registers missing from state are kept) and start the next
+        // instruction at the next cycle, discarding the current one and any pending interrupt
+        const cpu = this.cpu;
+        for (const register of ["pc", "sp", "a", "x", "y"]) {
+            if (state[register] !== undefined) {
+                cpu[register] = state[register] & ((register === "pc") ? 0xFFFF : 0xFF);
+            }
+        }
+        if (state.status !== undefined) {
+            cpu.status = state.status & ~0x30; // The B flag and bit 5 are not stored in the status register
+        }
+        cpu.currentInstructionCycles = 0;
+        cpu.delayedWriteCount = 0;
+        cpu.nmiPending = false;
+        cpu.pendingInterrupt = null;
+        cpu.interruptVector = null;
+        cpu.halted = false;
+        cpu.waiting = false;
+        cpu.skipPolling = false;
+        this.sequence = null;
+        this.currentInstruction = null;
+    }
+
+    reset() {
+        // RESET line: abort the current instruction and run the RESET interrupt sequence, which loads the PC from the
+        // reset vector at 0xFFFC and 0xFFFD. Pending interrupts are discarded
+        const cpu = this.cpu;
+        cpu.nmiPending = false;
+        cpu.pendingInterrupt = null;
+        cpu.halted = false;
+        cpu.waiting = false;
+        cpu.skipPolling = false;
+        cpu.delayedWriteCount = 0;
+        this.sequence = cycles.startInterrupt(cpu, execute.VECTORS.RESET);
+        this.currentInstruction = null;
+        this.ppu.reset();
+        this.apu.reset();
+        this.emit("reset");
+    }
+
+    step() {
+        // Run a single CPU cycle and keep executing until the current instruction (or the DMA that halts the CPU) is
+        // fully executed
+        do {
+            this.stepCycle();
+        } while (this.sequence !== null || this.dma.active);
+    }
+
+    runFrame() {
+        // Run CPU cycles until the PPU completes the next frame and return the frame buffer
+        const frame = this.frameCount + 1;
+        while (this.frameCount < frame) {
+            this.stepCycle();
+        }
+        return this.ppu.frameBuffer;
+    }
+
+    // Function to execute a single CPU cycle: the instruction (or interrupt sequence) being executed performs the bus
+    // access of this cycle, which is left in bus.lastAccess, and a new one starts when the previous one finished. A DMA
+    // halts the CPU in its next read, the DMA cycles run before the read completes (see haltForDma)
+    stepCycle() {
+        const cpu = this.cpu;
+        this.bus.lastAccess.type = null;
+        let finished = false;
+        if (this.dma.active && (cpu.halted || cpu.waiting)) {
+            // A stopped CPU does not access the bus, the DMA unit uses it right away
+            this.dma.step(this.bus, cpu.totalCycles, cpu.pc);
+        } else {
+            if (this.dma.active) {
+                this.bus.beforeRead = this.haltForDma;
+            }
+            if (this.sequence === null) {
+                this.startSequence();
+            }
+            finished = this.sequence === null || cycles.runCycle(cpu, this.sequence);
+            this.bus.beforeRead = null; // The cycle was a write, the DMA waits for the next read
+            cpu.currentInstructionCycles--;
+        }
+        this.finishCycle();
+        if (finished) {
+            this.finishSequence();
+        }
+        this.pollInterrupts();
+    }
+
+    haltForDma(address) {
+        // Read hook of the bus while a DMA is pending: the CPU read of the current cycle is halted. This cycle is the
+        // halt cycle of the DMA, which runs its cycles (the CPU reads the address again in the halt, dummy and
+        // alignment cycles) until it finishes, and then the CPU read is performed in a cycle of its own
+        const cpu = this.cpu;
+        while (this.dma.active) {
+            this.dma.step(this.bus, cpu.totalCycles, address);
+            this.finishCycle();
+            this.detectNmi();
+        }
+    }
+
+    finishCycle() {
+        // Run the rest of the console during the current CPU cycle
+        const cpu = this.cpu;
+        this.apu.step(cpu.totalCycles);
+        cpu.totalCycles++;
+
+        // The PPU clock frequency is 3 times the CPU clock frequency
+        this.ppu.step();
+        this.ppu.step();
+        this.ppu.step();
+        if (this.ppu.state.frameComplete) {
+            this.ppu.state.frameComplete = false;
+            this.frameCount++;
+            this.emit("frame", this.ppu.frameBuffer);
+            const samples = this.apu.takeSamples();
+            const channelSamples = this.apu.takeChannelSamples();
+            if (this.listeners.audio?.length) {
+                this.emit("audio", samples, channelSamples);
+            }
+        }
+    }
+
+    startSequence() {
+        // Start the sequence that runs after the previous one: the interrupt found by its polling or the instruction at
+        // the PC
+        const cpu = this.cpu;
+        cpu.interruptVector = null;
+        if (cpu.halted || cpu.waiting) {
+            // The CPU is stuck in a JAM instruction (or stopped by STP or WAI), cycles pass without executing anything
+            // while the rest of the console keeps running
+            cpu.currentInstructionCycles = 1;
+        } else if (cpu.pendingInterrupt !== null) {
+            // An interrupt was found by the polling of the previous instruction, its sequence is executed instead of
+            // the next instruction
+            if (cpu.pendingInterrupt === execute.VECTORS.NMI) {
+                cpu.nmiPending = false;
+            }
+            this.sequence = cycles.startInterrupt(cpu, cpu.pendingInterrupt);
+            cpu.pendingInterrupt = null;
+        } else {
+            if (this.listeners.trace?.length) {
+                this.emit("trace", formatTraceLine(cpu, this.ppu));
+            }
+            if (this.listeners.instruction?.length) {
+                const address = cpu.pc;
+                const opcode = this.bus.peek(address);
+                const instruction = cpu.opcodeTable[opcode];
+                const operands = [];
+                for (let i = 1; i < instruction.size; i++) {
+                    operands.push(this.bus.peek(address + i));
+                }
+                this.currentInstruction = { address, opcode, ...instruction, operands };
+            }
+            this.sequence = cycles.startInstruction(cpu);
+        }
+    }
+
+    finishSequence() {
+        // The last cycle of the instruction (or interrupt sequence) was executed
+        this.sequence = null;
+        if (this.currentInstruction !== null) {
+            this.emit("instruction", this.currentInstruction);
+            this.currentInstruction = null;
+            if (this.cpu.halted) {
+                this.emit("halt");
+            }
+        }
+    }
+
+    irqAsserted() {
+        // The IRQ line is shared by every device that can request interrupts and stays asserted while any of them
+        // asserts it (level triggered)
+        return this.apu.irqAsserted || (this.mapper !== null && this.mapper.irqAsserted);
+    }
+
+    detectNmi() {
+        // The NMI line is checked for a rising edge every cycle
+        const cpu = this.cpu;
+        const nmiLine = this.ppu.state.nmiAsserted;
+        if (nmiLine && !cpu.nmiLine) {
+            cpu.nmiPending = true;
+        }
+        cpu.nmiLine = nmiLine;
+    }
+
+    pollInterrupts() {
+        // The CPU polls the interrupt lines at the end of the second to last cycle of each instruction to decide if an
+        // interrupt sequence runs after it
+        const cpu = this.cpu;
+        this.detectNmi();
+
+        if (cpu.interruptVector !== null) {
+            // Interrupt sequences do not poll, so the first instruction of the handler is always executed (an NMI
+            // detected during the first cycles of a BRK or IRQ sequence hijacks it, see pushInterruptFrame)
+            return;
+        }
+        if (cpu.waiting) {
+            // WAI: an NMI or IRQ request resumes the CPU (even an IRQ masked by the interrupt disable flag) and is
+            // polled right away
+            if (!cpu.nmiPending && !this.irqAsserted()) {
+                return;
+            }
+            cpu.waiting = false;
+        } else if (cpu.currentInstructionCycles !== 1 || cpu.halted) {
+            return;
+        }
+        // CLI, SEI and PLP change the interrupt disable flag in their last cycle, after the polling, so an IRQ is
+        // still serviced (or ignored) after them as if the flag had not changed. A taken branch that does not cross a
+        // page boundary skips the polling of its second cycle, so an interrupt requested during the branch waits until
+        // the next instruction is executed
+        if (cpu.skipPolling) {
+            cpu.skipPolling = false;
+            return;
+        }
+        if (cpu.nmiPending) {
+            cpu.pendingInterrupt = execute.VECTORS.NMI;
+        } else if (this.irqAsserted() && !(cpu.status & 0x04)) {
+            cpu.pendingInterrupt = execute.VECTORS.IRQ;
+        }
+    }
+}
+
+function createCpuState(bus, variant) {
+    // Power on state of the CPU registers, the RESET sequence decrements the stack pointer to 0xFD
+    // https://www.nesdev.org/wiki/CPU_power_up_state
+    return {
+        variant, // CPU variant (one of VARIANTS)
+        opcodeTable: opcodeTables[variant], // Opcode table of the variant
+        dispatchTable: cycles.dispatchTables[variant], // Functions that execute each opcode (see cycles.js)
+        a: 0, // Accumulator
+        x: 0, // X Register
+        y: 0, // Y Register
+        pc: 0x0000, // Program Counter, loaded from the reset vector
+        sp: 0x00, // Stack Pointer
+        // Status Register Flags, bit 7 to bit 0 are:
+        // N (negative), V (overflow), - (ignored), B (break), D (decimal mode), I (interrupt disable), Z (zero),
+        // C (carry)
+        status: 0,
+        currentInstructionCycles: 0,    // Cycles remaining for the current instruction to execute
+        totalCycles: 0, // Total cycles executed by the CPU
+        // State of the instruction being executed between its cycles (see cycles.js)
+        cycle: 0, // Index of the function of the next cycle in the sequence
+        operand1: 0, // Bytes after the opcode (the second one only in 3 byte instructions)
+        operand2: 0,
+        pointer: 0, // Address of the pointer read by the indirect addressing modes
+        address: 0, // Effective address of the operand (return address of BRK and the interrupts)
+        value: 0, // Byte tested by BBR and BBS (status pushed by BRK and the interrupts)
+        pageCrossed: false, // The indexing of the last indexed address crossed a page boundary (see getAbsoluteX)
+        // Writes of read-modify-write instructions waiting for their cycle, in a ring of 2 entries (see writeMemory)
+        delayedWriteAddresses: new Uint16Array(2),
+        delayedWriteValues: new Uint8Array(2),
+        delayedWriteStart: 0, // Entry of the oldest write
+        delayedWriteCount: 0,
+        // Interrupt state (https://www.nesdev.org/wiki/CPU_interrupts)
+        nmiLine: false, // Level of the NMI line in the previous cycle, NMIs are triggered by its rising edge
+        nmiPending: false, // An NMI edge has been detected and the NMI has not been serviced yet
+        skipPolling: false, // The current cycle does not poll the interrupts (taken branches, see branchCycles)
+        pendingInterrupt: null, // Vector of the interrupt found by the polling of the current instruction (or null)
+        interruptVector: null, // Vector of the interrupt sequence (or BRK) being executed (or null)
+        halted: false, // Set by the JAM instructions (and STP), the CPU stops until the next RESET
+        waiting: false, // Set by WAI, the CPU stops until an interrupt is requested
+        bus, // Memory bus used by the instructions to access memory
+    };
+}
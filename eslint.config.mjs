@@ -57,5 +57,19 @@ export default defineConfig([
             "no-mixed-spaces-and-tabs": "error"
 
         }
+    },
+    {
+        // AudioWorklet processor, which runs in the audio rendering thread
+        files: ["audio-processor.js"],
+        languageOptions: {
+            globals: globals.audioWorklet
+        }
+    },
+    {
+        // Command line tools that run the emulator core in Node
+        files: ["tools/**/*.{js,mjs,cjs}"],
+        languageOptions: {
+            globals: globals.node
+        }
     }
 ]);
@@ -1,24 +1,11 @@
-import { cpu } from './main.js';
-import { mainMemory } from './main.js';
-
-// Lookup table for addressing mode handlers an their names in the opcode matrix
-export const addressModeHandlers = {
-    "A": getAccumulator,
-    "abs": getAbsolute,
-    "abs,X": getAbsoluteX,
-    "abs,Y": getAbsoluteY,
-    "#": getImmediate,
-    "impl": getImplied,
-    "ind": getIndirect,
-    "X,ind": getXIndexedIndirect,
-    "ind,Y": getIndirectYIndexed,
-    "rel": getRelative,
-    "zpg": getZeropage,
-    "zpg,X": getZeropageXIndexed,
-    "zpg,Y": getZeropageYIndexed
-};
+// All the functions receive as first parameter the state of the CPU that executes them (see createCpuState in
+// emulator.js), which accesses memory through its bus. The differences between the CPU variants depend on cpu.variant
+
+import { VARIANTS } from './decode.js'; // CPU variants
 
-// Functions to handle the fetching of the operand based on the addressing mode of the instruction
+// Functions to handle the fetching of the operand based on the addressing mode of the instruction (see cycles.js)
+// The modes that read a pointer from memory return the functions of their cycles, which leave the effective address in
+// cpu.address
 // Addressing modes as described in https://www.masswerk.at/6502/6502_instruction_set.html:
 /*
 A	    Accumulator	                OPC A	        operand is AC (implied single byte instruction)
@@ -45,16 +32,7 @@ zpg,Y	zeropage, Y-indexed	        OPC $LL,Y	    operand is zeropage address;
                                                     effective address is address incremented by Y without carry **
 */
 
-export function getAccumulator() {
-    /*
-    OPC A
-    operand is AC (implied single byte instruction)
-    Return a constant string that will be handled in instructions that admit Accumulator addressing
-    */
-    return "accumulator";
-}
-
-export function getAbsolute(operand1, operand2) {
+export function getAbsolute(cpu, operand1, operand2) {
     /*
     OPC $LLHH
     operand is 16 bit address $HHLL
@@ -63,7 +41,7 @@ export function getAbsolute(operand1, operand2) {
     return ((operand2 << 8) | operand1);
 }
 
-export function getAbsoluteX(operand1, operand2) {
+export function getAbsoluteX(cpu, operand1, operand2) {
     /*
     OPC $LLHH,X
     operand is address; effective address is address incremented by X with carry
@@ -72,16 +50,15 @@ export function getAbsoluteX(operand1, operand2) {
     const lowerByte = operand1 + cpu.x; // Add X to the lower byte
     // Since read instructions that use Absolute X addressing mode have a 1 cycle penalty if the page boundary is
     // crossed due to having to perform an extra read, we need to check if the addition of X to the low byte of the base
-    // address causes a carry
+    // address causes a carry, which is left in cpu.pageCrossed
     const carry = (lowerByte > 0xFF) ? 1 : 0; // Check if there is a carry (page boundary crossed)
     const higherByte = (operand2 + carry) & 0xFF; // Add carry to the higher byte in case of page boundary crossing
-    // Combine the two bytes to form the address
-    const effectiveAddress = ((higherByte << 8) | (lowerByte & 0xFF)) & 0xFFFF; // Ensure it wraps around at 0xFFFF
-    // Return the effective address and carry (1 if page boundary crossed, 0 otherwise)
-    return { effectiveAddress, carry };
+    cpu.pageCrossed = carry === 1;
+    // Combine the two bytes to form the address (it wraps around at 0xFFFF)
+    return ((higherByte << 8) | (lowerByte & 0xFF)) & 0xFFFF;
 }
 
-export function getAbsoluteY(operand1, operand2) {
+export function getAbsoluteY(cpu, operand1, operand2) {
     /*
     OPC $LLHH,Y
     operand is address; effective address is address incremented by Y with carry
@@ -90,16 +67,15 @@ export function getAbsoluteY(operand1, operand2) {
     const lowerByte = operand1 + cpu.y; // Add Y to the lower byte
     // Since read instructions that use Absolute Y addressing mode have a 1 cycle penalty if the page boundary is
     // crossed due to having to perform an extra read, we need to check if the addition of Y to the low byte of the base
-    // address causes a carry
+    // address causes a carry, which is left in cpu.pageCrossed
     const carry = (lowerByte > 0xFF) ? 1 : 0; // Check if there is a carry (page boundary crossed)
     const higherByte = (operand2 + carry) & 0xFF; // Add carry to the higher byte in case of page boundary crossing
-    // Combine the two bytes to form the address
-    const effectiveAddress = ((higherByte << 8) | (lowerByte & 0xFF)) & 0xFFFF; // Ensure it wraps around at 0xFFFF
-    // Return the effective address and carry (1 if page boundary crossed, 0 otherwise)
-    return { effectiveAddress, carry };
+    cpu.pageCrossed = carry === 1;
+    // Combine the two bytes to form the address (it wraps around at 0xFFFF)
+    return ((higherByte << 8) | (lowerByte & 0xFF)) & 0xFFFF;
 }
 
-export function getImmediate() {
+export function getImmediate(cpu) {
     /*
     OPC #$BB
     operand is byte BB*
@@ -110,63 +86,125 @@ export function getImmediate() {
     return (cpu.pc - 1) & 0xFFFF;
 }
 
-export function getImplied() {
-    /*
-    OPC
-    operand implied
-    Return null since Implied addressing instructions do not require an operand
-    */
-    return null;
-}
-
-export function getIndirect(operand1, operand2) {
+export function getIndirect(variant) {
     /*
     OPC ($LLHH)
     operand is address; effective address is contents of word at address: C.w($HHLL)
-    return the 16 bit address obtained from the memory address formed by combining the two bytes after shifting the
-    second byte left by 8 bits
-    */
-    const addressL = ((operand2 << 8) | operand1) & 0xFFFF; // Address of the LSB of the word
-    // Note: In the address of the high byte the LSB (operand1) is wrapped around at 0xFF to replicate a hardware bug
-    // in the 6502 where the in a page boundary were incorrectly fecthed as explained in
-    // http://www.6502.org/users/obelisk/6502/reference.html#JMP
-    const addressH = ((operand2 << 8) | ((operand1 + 1) & 0xFF)) & 0xFFFF; // Address of the MSB of the word
-    // Read the word from memory and shift the MSB left by 8 bits
-    return ((mainMemory[addressH] << 8) | mainMemory[addressL]) & 0xFFFF;
+    return the functions of the cycles that read the 16 bit address from the memory address formed by combining the
+    two operand bytes after shifting the second byte left by 8 bits
+    */
+    const cycles = [];
+    if (variant === VARIANTS.WDC_65C02) {
+        // The 65C02 fixes the bug below with an extra cycle that reads the last byte of the instruction again
+        cycles.push((cpu) => {
+            cpu.bus.read((cpu.pc - 1) & 0xFFFF);
+        });
+    }
+    // Read the word from memory (LSB first) and shift the MSB left by 8 bits
+    cycles.push((cpu) => {
+        cpu.address = cpu.bus.read((cpu.operand2 << 8) | cpu.operand1);
+    });
+    if (variant === VARIANTS.WDC_65C02) {
+        cycles.push((cpu) => {
+            cpu.address |= cpu.bus.read((((cpu.operand2 << 8) | cpu.operand1) + 1) & 0xFFFF) << 8;
+        });
+    } else {
+        // Note: In the address of the high byte the LSB (operand1) is wrapped around at 0xFF to replicate a hardware
+        // bug in the 6502 where the in a page boundary were incorrectly fecthed as explained in
+        // http://www.6502.org/users/obelisk/6502/reference.html#JMP
+        cycles.push((cpu) => {
+            cpu.address |= cpu.bus.read((cpu.operand2 << 8) | ((cpu.operand1 + 1) & 0xFF)) << 8;
+        });
+    }
+    return cycles;
 }
 
-export function getXIndexedIndirect(operand) {
+export function getXIndexedIndirect() {
     /*
     OPC ($LL,X)
     operand is zeropage address; effective address is word in (LL + X, LL + X + 1), inc. without carry: C.w($00LL + X)
-    return the 16 bit address obtained from memory address formed by adding X to the zeropage address operand
-    */
-    const address = (operand + cpu.x) & 0xFF; // Address of the LSB of the word
-    // Read the word from memory and shift the MSB (at address+1) left by 8 bits
-    return (mainMemory[address] | (mainMemory[(address + 1) & 0xFF] << 8)) & 0xFFFF;
-}
-
-export function getIndirectYIndexed(operand) {
+    return the functions of the cycles that read the 16 bit address from the memory address formed by adding X to the
+    zeropage address operand
+    */
+    return [
+        (cpu) => {
+            cpu.bus.read(cpu.operand1); // Dummy read of the zeropage address while X is added
+            cpu.pointer = (cpu.operand1 + cpu.x) & 0xFF; // Address of the LSB of the word
+        },
+        // Read the word from memory and shift the MSB (at address+1) left by 8 bits
+        (cpu) => {
+            cpu.address = cpu.bus.read(cpu.pointer);
+        },
+        (cpu) => {
+            cpu.address |= cpu.bus.read((cpu.pointer + 1) & 0xFF) << 8;
+        },
+    ];
+}
+
+export function getIndirectYIndexed() {
     /*
     OPC ($LL),Y
     operand is zeropage address; effective address is word in (LL, LL + 1) incremented by Y with carry: C.w($00LL) + Y
-    return the 16 bit address obtained from the zeropage memory address and adding to it the contents of Y
-    */
-    const address = operand & 0xFF; // Address of the LSB of the word
-    const lowerByte = mainMemory[address] + cpu.y; // Add Y to the lower byte
-    // Since read instructions that use (Indirect) Y addressing mode have a 1 cycle penalty if the page boundary is
-    // crossed due to having to perform an extra read, we need to check if the addition of Y to the low byte of the base
-    // address causes a carry
-    const carry = (lowerByte > 0xFF) ? 1 : 0; // Check if there is a carry (page boundary crossed)
-    // Add carry to the higher byte in case of page boundary crossing
-    const higherByte = (mainMemory[(address + 1) & 0xFF] + carry) & 0xFF;
-    // Combine the two bytes to form the address
-    const effectiveAddress = ((higherByte << 8) | (lowerByte & 0xFF)) & 0xFFFF; // Ensure it wraps around at 0xFFFF
-    // Return the effective address and carry (1 if page boundary crossed, 0 otherwise)
-    return { effectiveAddress, carry };
-}
-
-export function getRelative(operand) {
+    return the functions of the cycles that read the 16 bit address from the zeropage memory address and add to it the
+    contents of Y
+    */
+    return [
+        (cpu) => {
+            cpu.address = cpu.bus.read(cpu.operand1) + cpu.y; // Add Y to the lower byte, bit 8 is the carry
+        },
+        (cpu) => {
+            // Since read instructions that use (Indirect) Y addressing mode have a 1 cycle penalty if the page boundary
+            // is crossed due to having to perform an extra read, we need to check if the addition of Y to the low byte
+            // of the base address causes a carry, which is left in cpu.pageCrossed
+            const carry = cpu.address >> 8;
+            // Add carry to the higher byte in case of page boundary crossing
+            const higherByte = (cpu.bus.read((cpu.operand1 + 1) & 0xFF) + carry) & 0xFF;
+            cpu.pageCrossed = carry === 1;
+            // Combine the two bytes to form the address (it wraps around at 0xFFFF)
+            cpu.address = (higherByte << 8) | (cpu.address & 0xFF);
+        },
+    ];
+}
+
+export function getZeropageIndirect() {
+    /*
+    OPC ($LL) (65C02 only)
+    operand is zeropage address; effective address is word in (LL, LL + 1): C.w($00LL)
+    return the functions of the cycles that read the 16 bit address from the zeropage address (the MSB wraps around to
+    $00 after $FF)
+    */
+    return [
+        (cpu) => {
+            cpu.address = cpu.bus.read(cpu.operand1);
+        },
+        (cpu) => {
+            cpu.address |= cpu.bus.read((cpu.operand1 + 1) & 0xFF) << 8;
+        },
+    ];
+}
+
+export function getAbsoluteXIndexedIndirect() {
+    /*
+    OPC ($LLHH,X) (65C02 only, JMP)
+    operand is address; effective address is word at address incremented by X with carry: C.w($HHLL + X)
+    return the functions of the cycles that read the 16 bit address from the address formed by the operands plus the
+    contents of X
+    */
+    return [
+        (cpu) => {
+            cpu.bus.read((cpu.pc - 1) & 0xFFFF); // Dummy read of the last byte of the instruction while X is added
+            cpu.pointer = (((cpu.operand2 << 8) | cpu.operand1) + cpu.x) & 0xFFFF; // Address of the LSB of the word
+        },
+        (cpu) => {
+            cpu.address = cpu.bus.read(cpu.pointer);
+        },
+        (cpu) => {
+            cpu.address |= cpu.bus.read((cpu.pointer + 1) & 0xFFFF) << 8;
+        },
+    ];
+}
+
+export function getRelative(cpu, operand) {
     /*
     OPC $BB
     branch target is PC + signed offset BB
@@ -176,7 +214,7 @@ export function getRelative(operand) {
     return (operand & 0x80) ? (operand - 256) : operand; // Convert to signed value
 }
 
-export function getZeropage(operand) {
+export function getZeropage(cpu, operand) {
     /*
     OPC $LL
     operand is zeropage address (hi-byte is zero, address = $00LL)
@@ -185,7 +223,7 @@ export function getZeropage(operand) {
     return operand & 0xFF; // Ensure it is a single byte
 }
 
-export function getZeropageXIndexed(operand) {
+export function getZeropageXIndexed(cpu, operand) {
     /*
     OPC $LL,X
     operand is zeropage address; effective address is address incremented by X without carry
@@ -195,7 +233,7 @@ export function getZeropageXIndexed(operand) {
     return (operand + cpu.x) & 0xFF;
 }
 
-export function getZeropageYIndexed(operand) {
+export function getZeropageYIndexed(cpu, operand) {
     /*
     OPC $LL,Y
     operand is zeropage address; effective address is address incremented by Y without carry
@@ -205,30 +243,169 @@ export function getZeropageYIndexed(operand) {
     return (operand + cpu.y) & 0xFF;
 }
 
+// Function to handle the memory writes of the instructions
+
+function writeMemory(cpu, address, value, cyclesBeforeEnd = 1) {
+    /*
+    Store a byte in CPU memory through the bus, together with the CPU cycle in which the write happens since some
+    mappers (MMC1) ignore writes in consecutive cycles.
+    Instructions write in their last cycle, except for the first write of read-modify-write instructions
+    (cyclesBeforeEnd = 2). Read-modify-write instructions run in the cycle of their read, so their writes are delayed
+    until the cycle-stepped CPU reaches their cycle and calls performDelayedWrite. The delayed writes are kept in the
+    2 entry ring of cpu.delayedWriteAddresses and cpu.delayedWriteValues
+    */
+    if (cpu.currentInstructionCycles > cyclesBeforeEnd) {
+        const entry = (cpu.delayedWriteStart + cpu.delayedWriteCount) & 0x01;
+        cpu.delayedWriteAddresses[entry] = address;
+        cpu.delayedWriteValues[entry] = value;
+        cpu.delayedWriteCount++;
+    } else {
+        cpu.bus.write(address, value, cpu.totalCycles + cpu.currentInstructionCycles - cyclesBeforeEnd);
+    }
+}
+
+export function performDelayedWrite(cpu) {
+    // Perform the oldest write delayed by writeMemory in the current cycle
+    const entry = cpu.delayedWriteStart;
+    dropDelayedWrite(cpu);
+    cpu.bus.write(cpu.delayedWriteAddresses[entry], cpu.delayedWriteValues[entry], cpu.totalCycles);
+}
+
+export function dropDelayedWrite(cpu) {
+    // Discard the oldest write delayed by writeMemory
+    cpu.delayedWriteStart = (cpu.delayedWriteStart + 1) & 0x01;
+    cpu.delayedWriteCount--;
+}
+
+// Function to handle the branch instructions
+
+function branch(cpu, condition, displacement) {
+    /*
+    Add the displacement to the program counter if condition is true and return whether the branch is taken, since
+    taken branches take extra cycles (see OpCode.executionCycles)
+    */
+    if (condition) {
+        cpu.pc = (cpu.pc + displacement) & 0xFFFF; // Ensure it wraps around at 0xFFFF
+    }
+    return condition;
+}
+
+// Functions to handle hardware interrupts
+
+// Addresses of the interrupt vectors, which contain the address of the handler of each interrupt (little-endian)
+export const VECTORS = {
+    NMI: 0xFFFA,
+    RESET: 0xFFFC,
+    IRQ: 0xFFFE // Shared by IRQ and BRK
+};
+
+export function opcodeFetched() {
+    // Function of the cycle of the opcode fetch (see startInstruction in cycles.js) of the instructions that do nothing
+    // else in it
+}
+
+function pushInterruptByte(cpu, value) {
+    // Push a byte of the frame of an interrupt or BRK, RESET reads instead of writing
+    if (cpu.interruptVector === VECTORS.RESET) {
+        cpu.bus.read(0x0100 + cpu.sp);
+    } else {
+        cpu.bus.write(0x0100 + cpu.sp, value);
+    }
+    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+}
+
+// Cycles that push the return address in cpu.address (high byte first) and the status register in cpu.value of an
+// interrupt or BRK and load the PC from the vector in cpu.interruptVector. Bit 5 does not exist in the status register
+// and is always pushed as 1
+const pushInterruptFrame = [
+    (cpu) => {
+        pushInterruptByte(cpu, (cpu.address >> 8) & 0xFF); // Push high byte of return address
+    },
+    (cpu) => {
+        pushInterruptByte(cpu, cpu.address & 0xFF); // Push low byte of return address
+    },
+    (cpu) => {
+        // An NMI detected until now hijacks BRK and IRQ sequences: the pushed status is kept (with the break flag of
+        // BRK) but the PC is loaded from the NMI vector
+        if (cpu.interruptVector === VECTORS.IRQ && cpu.nmiPending) {
+            cpu.nmiPending = false;
+            cpu.interruptVector = VECTORS.NMI;
+        }
+        pushInterruptByte(cpu, cpu.value | 0x20); // Push status register
+        if (cpu.variant === VARIANTS.WDC_65C02) {
+            cpu.status &= ~0x08; // The 65C02 clears the decimal flag, so handlers start in binary mode
+        }
+    },
+    (cpu) => {
+        cpu.operand1 = cpu.bus.read(cpu.interruptVector); // Read the handler address from the vector (little-endian)
+        cpu.status |= 0x04; // Set interrupt disable flag
+    },
+    (cpu) => {
+        cpu.pc = (cpu.bus.read(cpu.interruptVector + 1) << 8) | cpu.operand1;
+    },
+];
+
+export const interrupt = [
+    /*
+    Hardware interrupt sequence (NMI, RESET or IRQ)
+    Like BRK, the program counter and processor status are pushed on the stack and the PC is loaded from the interrupt
+    vector, but the pushed status has the break flag clear and the PC pushed is the address of the next instruction to
+    execute since no instruction was fetched (the opcode fetch and the next read are dummy reads of the PC). RESET runs
+    the same sequence with the writes turned into reads, so the stack pointer is decremented by 3 but nothing is
+    pushed. The interrupt disable flag is set so that the handler is not interrupted by an IRQ. The sequence takes 7
+    cycles and, like the instructions, is an array with the function of each cycle (see startInterrupt in cycles.js).
+    https://www.nesdev.org/wiki/CPU_interrupts
+    */
+    (cpu) => {
+        cpu.bus.read(cpu.pc);
+    },
+    (cpu) => {
+        cpu.bus.read(cpu.pc);
+        cpu.address = cpu.pc;
+        cpu.value = cpu.status & ~0x10;
+    },
+    ...pushInterruptFrame,
+];
+
+// First cycles of the stack instructions, which like the interrupt sequence are arrays with the function of each cycle
+// starting with the one of the opcode fetch (see cycles.js)
+
+// Push instructions read the next byte while the value to push is prepared
+const pushStart = [
+    opcodeFetched,
+    (cpu) => {
+        cpu.bus.read(cpu.pc);
+    },
+];
+
+// Pull instructions (and RTS and RTI) read the next byte and then the top of the stack while the stack pointer is
+// incremented
+const pullStart = [
+    opcodeFetched,
+    (cpu) => {
+        cpu.bus.read(cpu.pc);
+    },
+    (cpu) => {
+        cpu.bus.read(0x0100 + cpu.sp);
+    },
+];
+
 // Functions to handle the execution of instructions
 
-export function ADC(memoryLocation) {
+export function ADC(cpu, memoryLocation) {
     /*
     Add with Carry
     A,Z,C,N = A+M+C
     This instruction adds the contents of a memory location to the accumulator together with the carry bit.
     If overflow occurs the carry bit is set, this enables multiple byte addition to be performed.
     http://www.6502.org/users/obelisk/6502/reference.html#ADC
-    Note: The original 6502 does support decimal mode for this instruction, but the NES 6502 does not,
-    so it is not implemented here.
-    */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
+    Note: The 2A03 of the NES has no decimal mode, the other variants add in BCD when the decimal flag is set
+    */
+    const value = cpu.bus.read(memoryLocation);
+    if (decimalMode(cpu)) {
+        addDecimal(cpu, value);
+        return;
     }
-
-    const value = mainMemory[memoryLocation];
     const carry = (cpu.status & 0x01) ? 1 : 0;
     let result = cpu.a + value + carry; // Add accumulator, value of memoryLocation and carry
     // Set carry flag if overflow in bit 7
@@ -250,25 +427,14 @@ export function ADC(memoryLocation) {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function AND(memoryLocation) {
+export function AND(cpu, memoryLocation) {
     /*
     Logical AND
     A,Z,N = A&M
     A logical AND is performed, bit by bit, on the accumulator contents using the contents of a byte of memory.
     http://www.6502.org/users/obelisk/6502/reference.html#AND
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     cpu.a &= value; // Perform AND operation
     // Set zero flag if result is zero
     cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -276,7 +442,7 @@ export function AND(memoryLocation) {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function ASL(memoryLocation) {
+export function ASL(cpu, memoryLocation) {
     /*
     Arithmetic Shift Left
     A,Z,C,N = M*2 or M,Z,C,N = M*2
@@ -286,95 +452,67 @@ export function ASL(memoryLocation) {
     setting the carry if the result will not fit in 8 bits.
     http://www.6502.org/users/obelisk/6502/reference.html#ASL
     */
-    // ASL admits Absolute,X addressing but it applies no cycle penalty for page crossing, so we just obtain the
-    // effective address from the object returned by the getAbsoluteX function and ignore the page crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
+    const value = cpu.bus.read(memoryLocation);
+    // Set carry flag if bit 7 is set
+    cpu.status = (value & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Shift one bit left and store only the lower byte (ignore carry)
+    const result = (value << 1) & 0xFF;
+    // Read-modify-write instructions write back the unmodified value one cycle before writing the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result);
+    // Set zero flag if result is zero
+    cpu.status = (result === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+}
 
-    // When the instruction has no arguments (1 byte instruction) the operation is performed on the accumulator
-    if (memoryLocation === "accumulator") {
-        // Set carry flag if bit 7 is set
-        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        // Shift one bit left and store only the lower byte (ignore carry)
-        cpu.a = (cpu.a << 1) & 0xFF;
-        // Set zero flag if result is zero
-        cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    } else {    // Operation is done on the contents of memoryLocation
-        const value = mainMemory[memoryLocation];
-        // Set carry flag if bit 7 is set
-        cpu.status = (value & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        // Shift one bit left and store only the lower byte (ignore carry)
-        mainMemory[memoryLocation] = (value << 1) & 0xFF;
-        // Set zero flag if result is zero
-        cpu.status =
-            (mainMemory[memoryLocation] === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status =
-            (mainMemory[memoryLocation] & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    }
+export function ASL_ACCUMULATOR(cpu) {
+    /*
+    Arithmetic Shift Left with accumulator addressing
+    A,Z,C,N = A*2
+    Like ASL, but on the accumulator.
+    */
+    // Set carry flag if bit 7 is set
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Shift one bit left and store only the lower byte (ignore carry)
+    cpu.a = (cpu.a << 1) & 0xFF;
+    // Set zero flag if result is zero
+    cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function BCC(displacement) {
+export function BCC(cpu, displacement) {
     /*
     Branch if Carry Clear
     If the carry flag is clear then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BCC
     */
-    if (!(cpu.status & 0x01)) { // Check if carry flag is clear
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x01) === 0, displacement); // Branch if carry flag is clear
 }
 
-export function BCS(displacement) {
+export function BCS(cpu, displacement) {
     /*
     Branch if Carry Set
     If the carry flag is set then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BCS
     */
-    if (cpu.status & 0x01) { // Check if carry flag is set
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x01) !== 0, displacement); // Branch if carry flag is set
 }
 
-export function BEQ(displacement) {
+export function BEQ(cpu, displacement) {
     /*
     Branch if Equal
     If the zero flag is set then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BEQ
     */
-    if (cpu.status & 0x02) { // Check if zero flag is set
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x02) !== 0, displacement); // Branch if zero flag is set
 }
 
-export function BIT(memoryLocation) {
+export function BIT(cpu, memoryLocation) {
     /*
     Bit Test
     Z = A & M, N = M7, V = M6
@@ -383,72 +521,48 @@ export function BIT(memoryLocation) {
     but the result is not kept. Bits 7 and 6 of the value from memory are copied into the N and V flags.
     http://www.6502.org/users/obelisk/6502/reference.html#BIT
     */
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     const result = cpu.a & value;
 
     // Set zero flag if result is zero
     cpu.status = (result === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
     // Copy bit 7 of value to negative flag
-    cpu.status = (value & 0x08) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+    cpu.status = (value & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
     // Copy bit 6 of value to overflow flag
     cpu.status = (value & 0x40) ? (cpu.status | 0x40) : (cpu.status & ~0x40);
 }
 
-export function BMI(displacement) {
+export function BMI(cpu, displacement) {
     /*
     Branch if Minus
     If the negative flag is set then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BMI
     */
-    if (cpu.status & 0x80) { // Check if negative flag is set
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x80) !== 0, displacement); // Branch if negative flag is set
 }
 
-export function BNE(displacement) {
+export function BNE(cpu, displacement) {
     /*
     Branch if Not Equal
     If the zero flag is clear then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BNE
     */
-    if (!(cpu.status & 0x02)) { // Check if zero flag is clear
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x02) === 0, displacement); // Branch if zero flag is clear
 }
 
-export function BPL(displacement) {
+export function BPL(cpu, displacement) {
     /*
     Branch if Minus
     If the negative flag is clear then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BPL
     */
-    if (!(cpu.status & 0x80)) { // Check if negative flag is clear
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x80) === 0, displacement); // Branch if negative flag is clear
 }
 
-export function BRK() {
+export const BRK = [
     /*
     Force Interrupt
     The BRK instruction forces the generation of an interrupt request. The program counter and processor status are
@@ -460,65 +574,47 @@ export function BRK() {
     // (the stack pointer points to the element where the next value will be stored)
     // The stack pointer is an 8-bit resgister that contains the LSB of the stack address (0x0100 + SP)
     // https://www.nesdev.org/wiki/Stack
-    // There is always a padding byte after BRK instructions so the return address is the current PC + 1
-    // (second byte after BRK)
-    const returnAddress = (cpu.pc + 1) & 0xFFFF;
-    // Note: I found no reference to the order in which PC + 1 is pushed (HHLL or LLHH), but
-    //       https://mirrors.apple2.org.za/ftp.apple.asimov.net/documentation/hardware/processors/MCS6500%20Family%20Programming%20Manual.pdf
-    //       states that in the RTI instruction the return address is popped in the order LL HH, so I will assume that
-    //       BRK pushes it in order HH LL
-    mainMemory[0x0100 + cpu.sp] = (returnAddress >> 8) & 0xFF; // Push high byte of return address
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-    mainMemory[0x0100 + cpu.sp] = returnAddress & 0xFF; // Push low byte of return address
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-    cpu.status |= 0x10; // Set break flag (bit 4) in status register
-    mainMemory[0x0100 + cpu.sp] = cpu.status; // Push status register
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-
-    const interruptAddressLow = mainMemory[0xFFFE]; // Read low byte of IRQ interrupt vector
-    const interruptAddressHigh = mainMemory[0xFFFF]; // Read high byte of IRQ interrupt vector
-    // Combine the two bytes to form the address
-    const interruptHandlerAddress = (interruptAddressHigh << 8) | interruptAddressLow;
-    cpu.pc = interruptHandlerAddress & 0xFFFF; // Set PC to the target memory address
-}
-
-export function BVC(displacement) {
+    opcodeFetched,
+    (cpu) => {
+        // There is always a padding byte after BRK instructions so the return address is the current PC + 1
+        // (second byte after BRK)
+        cpu.bus.read(cpu.pc); // Read of the padding byte
+        cpu.address = (cpu.pc + 1) & 0xFFFF;
+        // Note: I found no reference to the order in which PC + 1 is pushed (HHLL or LLHH), but
+        //       https://mirrors.apple2.org.za/ftp.apple.asimov.net/documentation/hardware/processors/MCS6500%20Family%20Programming%20Manual.pdf
+        //       states that in the RTI instruction the return address is popped in the order LL HH, so I will assume
+        //       that BRK pushes it in order HH LL
+        // The break flag (bit 4) only exists in the pushed copy of the status register, it tells the handler that the
+        // interrupt came from BRK and not from the IRQ line (https://www.nesdev.org/wiki/Status_flags#The_B_flag)
+        cpu.value = cpu.status | 0x10;
+        // BRK runs the IRQ interrupt sequence, so an NMI during its first cycles can still change the vector
+        // (hijacking)
+        cpu.interruptVector = VECTORS.IRQ;
+    },
+    ...pushInterruptFrame,
+];
+
+export function BVC(cpu, displacement) {
     /*
     Branch if Overflow Clear
     If the overflow flag is clear then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BVC
     */
-    if (!(cpu.status & 0x04)) { // Check if overflow flag is clear
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x40) === 0, displacement); // Branch if overflow flag is clear
 }
 
-export function BVS(displacement) {
+export function BVS(cpu, displacement) {
     /*
     Branch if Overflow Set
     If the overflow flag is set then add the relative displacement to the program counter to cause a branch to
     a new location.
     http://www.6502.org/users/obelisk/6502/reference.html#BVS
     */
-    if (cpu.status & 0x04) { // Check if overflow flag is set
-        cpu.currentInstructionCycles += 1; // Instruction takes an extra cycle if the branch is taken
-        const newPC = cpu.pc + displacement; // Calculate program counter after branch
-        if ((cpu.pc & 0xFF00) !== (newPC & 0xFF00)) {
-            // Instruction takes an extra cycle if the branch crosses a page boundary (High byte of PC changes)
-            cpu.currentInstructionCycles += 1;
-        }
-        cpu.pc = newPC & 0xFFFF; // Update program counter, ensuring it wraps around at 0xFFFF
-    }
+    return branch(cpu, (cpu.status & 0x40) !== 0, displacement); // Branch if overflow flag is set
 }
 
-export function CLC() {
+export function CLC(cpu) {
     /*
     Clear Carry Flag
     C = 0
@@ -528,7 +624,7 @@ export function CLC() {
     cpu.status = cpu.status & ~0x01; // Clear bit 0 (carry flag)
 }
 
-export function CLD() {
+export function CLD(cpu) {
     /*
     Clear Decimal Mode
     D = 0
@@ -538,7 +634,7 @@ export function CLD() {
     cpu.status = cpu.status & ~0x08; // Clear bit 3 (decimal mode flag)
 }
 
-export function CLI() {
+export function CLI(cpu) {
     /*
     Clear Interrupt Disable
     I = 0
@@ -548,7 +644,7 @@ export function CLI() {
     cpu.status = cpu.status & ~0x04; // Clear bit 2 (interrupt disable flag)
 }
 
-export function CLV() {
+export function CLV(cpu) {
     /*
     Clear Overflow Flag
     V = 0
@@ -558,7 +654,7 @@ export function CLV() {
     cpu.status = cpu.status & ~0x40; // Clear bit 6 (overflow flag)
 }
 
-export function CMP(memoryLocation) {
+export function CMP(cpu, memoryLocation) {
     /*
     Compare
     Z,C,N = A-M
@@ -566,28 +662,17 @@ export function CMP(memoryLocation) {
     carry flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#CMP
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     const result = (cpu.a - value) & 0xFF; // Subtract memory value from accumulator
-    // Set carry flag if result is non-negative (A >= M)
-    cpu.status = (result >= 0) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Set carry flag if there is no borrow (A >= M)
+    cpu.status = (cpu.a >= value) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
     // Set zero flag if result is zero (A === M)
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
     // Set negative flag if bit 7 of the result is set
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function CPX(memoryLocation) {
+export function CPX(cpu, memoryLocation) {
     /*
     Compare X Register
     Z,C,N = X-M
@@ -595,17 +680,17 @@ export function CPX(memoryLocation) {
     carry flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#CPX
     */
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     const result = (cpu.x - value) & 0xFF; // Subtract memory value from X register
-    // Set carry flag if result is non-negative (A >= M)
-    cpu.status = (result >= 0) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-    // Set zero flag if result is zero (A === M)
+    // Set carry flag if there is no borrow (X >= M)
+    cpu.status = (cpu.x >= value) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Set zero flag if result is zero (X === M)
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
     // Set negative flag if bit 7 of the result is set
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function CPY(memoryLocation) {
+export function CPY(cpu, memoryLocation) {
     /*
     Compare Y Register
     Z,C,N = Y-M
@@ -613,42 +698,45 @@ export function CPY(memoryLocation) {
     carry flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#CPY
     */
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     const result = (cpu.y - value) & 0xFF; // Subtract memory value from Y register
-    // Set carry flag if result is non-negative (A >= M)
-    cpu.status = (result >= 0) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-    // Set zero flag if result is zero (A === M)
+    // Set carry flag if there is no borrow (Y >= M)
+    cpu.status = (cpu.y >= value) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Set zero flag if result is zero (Y === M)
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
     // Set negative flag if bit 7 of the result is set
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function DEC(memoryLocation) {
+export function DEC(cpu, memoryLocation) {
     /*
     Decrement Memory
     M,Z,N = M-1
     Subtracts one from the value held at a specified memory location setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#DEC
     */
-    // DEC admits Absolute,X addressing but it applies no cycle penalty for page crossing, so we just obtain the
-    // effective address from the object returned by the getAbsoluteX function and ignore the page crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     const result = (value - 1) & 0xFF; // Subtract 1 from memory value (wraps around from 0x00 to 0xFF)
-    mainMemory[memoryLocation] = result; // Store result in original memory location
+    // Read-modify-write instructions write back the unmodified value one cycle before writing the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result); // Store result in original memory location
     // Set zero flag if result is zero
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
     // Set negative flag if bit 7 of the result is set
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function DEX() {
+export function DEC_ACCUMULATOR(cpu) {
+    /*
+    Decrement with accumulator addressing
+    A,Z,N = A-1
+    Like DEC, but on the accumulator (65C02 only).
+    */
+    cpu.a = (cpu.a - 1) & 0xFF;
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function DEX(cpu) {
     /*
     Decrement X Register
     X,Z,N = X-1
@@ -663,7 +751,7 @@ export function DEX() {
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function DEY() {
+export function DEY(cpu) {
     /*
     Decrement Y Register
     Y,Z,N = Y-1
@@ -678,25 +766,14 @@ export function DEY() {
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function EOR(memoryLocation) {
+export function EOR(cpu, memoryLocation) {
     /*
     Exclusive OR
     A,Z,N = A^M
     An exclusive OR is performed, bit by bit, on the accumulator contents using the contents of a byte of memory.
     http://www.6502.org/users/obelisk/6502/reference.html#EOR
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     cpu.a ^= value; // Perform XOR operation
     // Set zero flag if result is zero
     cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -704,39 +781,42 @@ export function EOR(memoryLocation) {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function INC(memoryLocation) {
+export function INC(cpu, memoryLocation) {
     /*
     Increment Memory
     M,Z,N = M+1
     Adds one to the value held at a specified memory location setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#INC
     */
-    // INC admits Absolute,X addressing but it applies no cycle penalty for page crossing, so we just obtain the
-    // effective address from the object returned by the getAbsoluteX function and ignore the page crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     const result = (value + 1) & 0xFF; // Subtract 1 from memory value (wraps around from 0xFF to 0x00)
-    mainMemory[memoryLocation] = result; // Store result in original memory location
+    // Read-modify-write instructions write back the unmodified value one cycle before writing the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result); // Store result in original memory location
     // Set zero flag if result is zero
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
     // Set negative flag if bit 7 of the result is set
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function INX() {
+export function INC_ACCUMULATOR(cpu) {
+    /*
+    Increment with accumulator addressing
+    A,Z,N = A+1
+    Like INC, but on the accumulator (65C02 only).
+    */
+    cpu.a = (cpu.a + 1) & 0xFF;
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function INX(cpu) {
     /*
     Increment X Register
     X,Z,N = X+1
     Adds one to the X register setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#INX
     */
-    const result = (cpu.x - 1) & 0xFF; // Subtract 1 from X register (wraps around from 0x00 to 0xFF)
+    const result = (cpu.x + 1) & 0xFF; // Add 1 to X register (wraps around from 0xFF to 0x00)
     cpu.x = result; // Store result in X register
     // Set zero flag if result is zero
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -744,14 +824,14 @@ export function INX() {
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function INY() {
+export function INY(cpu) {
     /*
     Increment Y Register
     Y,Z,N = Y+1
     Adds one to the Y register setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#INY
     */
-    const result = (cpu.y - 1) & 0xFF; // Subtract 1 from Y register (wraps around from 0x00 to 0xFF)
+    const result = (cpu.y + 1) & 0xFF; // Add 1 to Y register (wraps around from 0xFF to 0x00)
     cpu.y = result; // Store result in Y register
     // Set zero flag if result is zero
     cpu.status = (result === 0) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -759,7 +839,7 @@ export function INY() {
     cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function JMP(memoryLocation) {
+export function JMP(cpu, memoryLocation) {
     /*
     Jump
     PC = $HHLL
@@ -769,50 +849,52 @@ export function JMP(memoryLocation) {
     cpu.pc = memoryLocation & 0xFFFF; // Ensure it wraparound at 0xFFFF
 }
 
-export function JSR(memoryLocation) {
+export const JSR = [
     /*
     Jump to Subroutine
     The JSR instruction pushes the address (minus one) of the return point on to the stack and then sets the
     program counter to the target memory address.
     http://www.6502.org/users/obelisk/6502/reference.html#JSR
     */
-    // The 6502 stores the return address minus one (last byte of the JSR isntruction) on the stack
+    opcodeFetched,
+    (cpu) => {
+        cpu.operand1 = cpu.bus.read(cpu.pc); // Fetch the low byte of the target address
+        cpu.pc = (cpu.pc + 1) & 0xFFFF;
+    },
+    (cpu) => {
+        cpu.bus.read(0x0100 + cpu.sp); // Dummy read of the stack while the low byte is stored
+    },
+    // The 6502 stores the return address minus one (last byte of the JSR isntruction) on the stack, the current PC
     // This is because of the internal working of the 6502, which stores the current PC before fetching
     // the last byte of the JSR instruction, as seen in
     // 1976 MCS 6500 Family Programming Manual (*1) in section 8.1 JSR - Jump to Subroutine p.106..109
     // https://archive.org/details/6500-50a_mcs6500pgmmanjan76/page/n121/mode/2up?view=theater
-    const returnAddress = (cpu.pc - 1) & 0xFFFF;
-
     // The stack is located between 0x01FF-0x0100, grows downwards and is an empty stack
     // (the stack pointer points to the element where the next value will be stored)
     // The stack pointer is an 8-bit resgister that contains the LSB of the stack address (0x0100 + SP)
     // https://www.nesdev.org/wiki/Stack
-    mainMemory[0x0100 + cpu.sp] = (returnAddress >> 8) & 0xFF; // Push high byte of return address
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-    mainMemory[0x0100 + cpu.sp] = returnAddress & 0xFF; // Push low byte of return address
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-    cpu.pc = memoryLocation & 0xFFFF; // Set PC to the target memory address
-}
-
-export function LDA(memoryLocation) {
+    (cpu) => {
+        cpu.bus.write(0x0100 + cpu.sp, (cpu.pc >> 8) & 0xFF); // Push high byte of return address
+        cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+    },
+    (cpu) => {
+        cpu.bus.write(0x0100 + cpu.sp, cpu.pc & 0xFF); // Push low byte of return address
+        cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+    },
+    (cpu) => {
+        const higherByte = cpu.bus.read(cpu.pc); // Fetch the high byte of the target address
+        cpu.pc = (higherByte << 8) | cpu.operand1; // Set PC to the target memory address
+    },
+];
+
+export function LDA(cpu, memoryLocation) {
     /*
     Load Accumulator
     A,Z,N = M
     Loads a byte of memory into the accumulator setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#LDA
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     cpu.a = value; // Store in accumulator
     // Set zero flag if value stored is zero
     cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -820,25 +902,14 @@ export function LDA(memoryLocation) {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function LDX(memoryLocation) {
+export function LDX(cpu, memoryLocation) {
     /*
     Load X Register
     X,Z,N = M
     Loads a byte of memory into the X register setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#LDX
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteY
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     cpu.x = value; // Store in X register
     // Set zero flag if value stored is zero
     cpu.status = (cpu.x === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -846,25 +917,14 @@ export function LDX(memoryLocation) {
     cpu.status = (cpu.x & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function LDY(memoryLocation) {
+export function LDY(cpu, memoryLocation) {
     /*
     Load Y Register
     Y,Z,N = M
     Loads a byte of memory into the Y register setting the zero and negative flags as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#LDY
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     cpu.y = value; // Store in Y register
     // Set zero flag if value stored is zero
     cpu.status = (cpu.y === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -872,7 +932,7 @@ export function LDY(memoryLocation) {
     cpu.status = (cpu.y & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function LSR(memoryLocation) {
+export function LSR(cpu, memoryLocation) {
     /*
     Logical Shift Right
     A,Z,C,N = M/2 or M,Z,C,N = M/2
@@ -880,66 +940,55 @@ export function LSR(memoryLocation) {
     the carry flag. Bit 7 is set to zero.
     http://www.6502.org/users/obelisk/6502/reference.html#LSR
     */
-    // LSR admits Absolute,X addressing but it applies no cycle penalty for page crossing, so we just obtain the
-    // effective address from the object returned by the getAbsoluteX function and ignore the page crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
+    const value = cpu.bus.read(memoryLocation);
+    // Set carry flag if bit 0 is set
+    cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    const result = (value >> 1) & 0xFF;  // Shift one bit right
+    // Read-modify-write instructions write back the unmodified value one cycle before writing the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result);
+    // Set zero flag if result is zero
+    cpu.status = (result === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+}
 
-    // When the instruction has no arguments (1 byte instruction) the operation is performed on the accumulator
-    if (memoryLocation === "accumulator") {
-        // Set carry flag if bit 0 is set
-        cpu.status = (cpu.a & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        cpu.a = (cpu.a >> 1) & 0xFF;  // Shift one bit right
-        // Set zero flag if result is zero
-        cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    } else {    // Operation is done on the contents of memoryLocation
-        const value = mainMemory[memoryLocation];
-        // Set carry flag if bit 0 is set
-        cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        mainMemory[memoryLocation] = (value >> 1) & 0xFF;  // Shift one bit right
-        // Set zero flag if result is zero
-        cpu.status =
-            (mainMemory[memoryLocation] === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status =
-            (mainMemory[memoryLocation] & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    }
+export function LSR_ACCUMULATOR(cpu) {
+    /*
+    Logical Shift Right with accumulator addressing
+    A,Z,C,N = A/2
+    Like LSR, but on the accumulator.
+    */
+    // Set carry flag if bit 0 is set
+    cpu.status = (cpu.a & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    cpu.a = (cpu.a >> 1) & 0xFF;  // Shift one bit right
+    // Set zero flag if result is zero
+    cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function NOP() {
+export function NOP(cpu, memoryLocation) {
     /*
     No Operation
     The NOP instruction causes no changes to the processor other than the normal incrementing of the program counter
     to the next instruction.
     http://www.6502.org/users/obelisk/6502/reference.html#NOP
+    The unofficial NOPs with an operand read it (with the side effects of reading I/O registers) and ignore the value
     */
+    if (memoryLocation !== null && memoryLocation !== undefined) {
+        cpu.bus.read(memoryLocation);
+    }
 }
 
-export function ORA(memoryLocation) {
+export function ORA(cpu, memoryLocation) {
     /*
     Logical Inclusive OR
     A,Z,N = A|M
     An inclusive OR is performed, bit by bit, on the accumulator contents using the contents of a byte of memory.
     http://www.6502.org/users/obelisk/6502/reference.html#ORA
     */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    const value = mainMemory[memoryLocation];
+    const value = cpu.bus.read(memoryLocation);
     cpu.a |= value; // Perform OR operation
     // Set zero flag if result is zero
     cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
@@ -947,7 +996,7 @@ export function ORA(memoryLocation) {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function PHA() {
+export const PHA = [
     /*
     Push Accumulator
     Pushes a copy of the accumulator on to the stack.
@@ -955,11 +1004,14 @@ export function PHA() {
     */
     // The stack is located between 0x01FF-0x0100, grows downwards and is an empty stack
     // (the stack pointer points to the element where the next value will be stored)
-    mainMemory[0x0100 + cpu.sp] = cpu.a; // Push accumulator
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-}
+    ...pushStart,
+    (cpu) => {
+        cpu.bus.write(0x0100 + cpu.sp, cpu.a); // Push accumulator
+        cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+    },
+];
 
-export function PHP() {
+export const PHP = [
     /*
     Push Processor Status
     Pushes a copy of the status flags on to the stack.
@@ -968,184 +1020,192 @@ export function PHP() {
     // The stack is located between 0x01FF-0x0100, grows downwards and is an empty stack
     // (the stack pointer points to the element where the next value will be stored)
     // Set bit 4 (break flag) and bit 5 (ignored) to 1 (https://www.masswerk.at/6502/6502_instruction_set.html#PHP)
-    cpu.status |= 0x30;    // Set break flag and ignored bit (or with 00110000 = 0x30)
-    mainMemory[0x0100 + cpu.sp] = cpu.status; // Push status register
-    cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
-}
+    // in the pushed value only, they do not exist in the status register
+    ...pushStart,
+    (cpu) => {
+        cpu.bus.write(0x0100 + cpu.sp, cpu.status | 0x30); // Push status register
+        cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+    },
+];
 
-export function PLA() {
+export const PLA = [
     /*
     Pull Accumulator
     Pulls an 8 bit value from the stack and into the accumulator. The zero and negative flags are set as appropriate.
     http://www.6502.org/users/obelisk/6502/reference.html#PLA
     */
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
-    cpu.a = mainMemory[0x0100 + cpu.sp]; // Pull accumulator
-    // Set zero flag if value pulled is zero
-    cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-    // Set negative flag if bit 7 of the value pulled is set
-    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-}
+    ...pullStart,
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
+        cpu.a = cpu.bus.read(0x0100 + cpu.sp); // Pull accumulator
+        // Set zero flag if value pulled is zero
+        cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+        // Set negative flag if bit 7 of the value pulled is set
+        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+    },
+];
 
-export function PLP() {
+export const PLP = [
     /*
     Pull Processor Status
     Pulls an 8 bit value from the stack and into the processor flags.
     The flags will take on new states as determined by the value pulled.
     http://www.6502.org/users/obelisk/6502/reference.html#PLP
     */
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
-    // Pull status register ignoring the break flag and ignored bit
-    // (https://www.masswerk.at/6502/6502_instruction_set.html#PLP)
-    cpu.status = (mainMemory[0x0100 + cpu.sp]) & ~0x30;
-}
+    ...pullStart,
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
+        // Pull status register ignoring the break flag and ignored bit
+        // (https://www.masswerk.at/6502/6502_instruction_set.html#PLP)
+        cpu.status = (cpu.bus.read(0x0100 + cpu.sp)) & ~0x30;
+    },
+];
 
-export function ROL(memoryLocation) {
+export function ROL(cpu, memoryLocation) {
     /*
     Rotate Left
     Move each of the bits in either A or M one place to the left. Bit 0 is filled with the current value of the carry
     flag whilst the old bit 7 becomes the new carry flag value.
     http://www.6502.org/users/obelisk/6502/reference.html#ROL
     */
-    // ROL admits Absolute,X addressing but it applies no cycle penalty for page crossing, so we just obtain the
-    // effective address from the object returned by the getAbsoluteX function and ignore the page crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
+    const carry = cpu.status & 0x01;  // Store carry flag to set it to bit 0 of the result later
+    const value = cpu.bus.read(memoryLocation);
+    // Set carry flag if bit 7 is set
+    cpu.status = (value & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Shift one bit left, store only the lower byte (ignore carry) and set bit 0 to previous carry flag
+    const result = ((value << 1) & 0xFF) | carry;
+    // Read-modify-write instructions write back the unmodified value one cycle before writing the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result);
+    // Set zero flag if result is zero
+    cpu.status = (result === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+}
 
+export function ROL_ACCUMULATOR(cpu) {
+    /*
+    Rotate Left with accumulator addressing
+    A,Z,C,N = A*2+C
+    Like ROL, but on the accumulator.
+    */
     const carry = cpu.status & 0x01;  // Store carry flag to set it to bit 0 of the result later
-    // When the instruction has no arguments (1 byte instruction) the operation is performed on the accumulator
-    if (memoryLocation === "accumulator") {
-        // Set carry flag if bit 7 is set
-        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        // Shift one bit left and store only the lower byte (ignore carry)
-        cpu.a = (cpu.a << 1) & 0xFF;
-        cpu.a |= carry;   // Set bit 0 to previous carry flag
-        // Set zero flag if result is zero
-        cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    } else {    // Operation is done on the contents of memoryLocation
-        const value = mainMemory[memoryLocation];
-        // Set carry flag if bit 7 is set
-        cpu.status = (value & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        // Shift one bit left and store only the lower byte (ignore carry)
-        mainMemory[memoryLocation] = (value << 1) & 0xFF;
-        mainMemory[memoryLocation] |= carry;   // Set bit 0 to previous carry flag
-        // Set zero flag if result is zero
-        cpu.status =
-            (mainMemory[memoryLocation] === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status =
-            (mainMemory[memoryLocation] & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    }
+    // Set carry flag if bit 7 is set
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Shift one bit left and store only the lower byte (ignore carry)
+    cpu.a = (cpu.a << 1) & 0xFF;
+    cpu.a |= carry;   // Set bit 0 to previous carry flag
+    // Set zero flag if result is zero
+    cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function ROR(memoryLocation) {
+export function ROR(cpu, memoryLocation) {
     /*
     Rotate Right
     Move each of the bits in either A or M one place to the left.
     Bit 0 is filled with the current value of the carry flag whilst the old bit 7 becomes the new carry flag value.
     http://www.6502.org/users/obelisk/6502/reference.html#ROR
     */
-    // ROR admits Absolute,X addressing but it applies no cycle penalty for page crossing, so we just obtain the
-    // effective address from the object returned by the getAbsoluteX function and ignore the page crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
+    const carry = cpu.status & 0x01;
+    const value = cpu.bus.read(memoryLocation);
+    // Set carry flag if bit 0 is set
+    cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    const result = ((value >> 1) & 0xFF) | (carry << 7);  // Shift one bit right and set bit 7 to previous carry
+    // Read-modify-write instructions write back the unmodified value one cycle before writing the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result);
+    // Set zero flag if result is zero
+    cpu.status = (result === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (result & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+}
 
+export function ROR_ACCUMULATOR(cpu) {
+    /*
+    Rotate Right with accumulator addressing
+    A,Z,C,N = A/2+C*128
+    Like ROR, but on the accumulator.
+    */
     const carry = cpu.status & 0x01;
-    // When the instruction has no arguments (1 byte instruction) the operation is performed on the accumulator
-    if (memoryLocation === "accumulator") {
-        // Set carry flag if bit 0 is set
-        cpu.status = (cpu.a & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        cpu.a = (cpu.a >> 1) & 0xFF;  // Shift one bit right
-        cpu.a |= (carry << 7);   // Set bit 7 to previous carry flag
-        // Set zero flag if result is zero
-        cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    } else {    // Operation is done on the contents of memoryLocation
-        const value = mainMemory[memoryLocation];
-        // Set carry flag if bit 0 is set
-        cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
-        mainMemory[memoryLocation] = (value >> 1) & 0xFF;  // Shift one bit right
-        mainMemory[memoryLocation] |= (carry << 7);   // Set bit 7 to previous carry flag
-        // Set zero flag if result is zero
-        cpu.status =
-            (mainMemory[memoryLocation] === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
-        // Set negative flag if bit 7 of the result is set
-        cpu.status =
-            (mainMemory[memoryLocation] & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
-    }
+    // Set carry flag if bit 0 is set
+    cpu.status = (cpu.a & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    cpu.a = (cpu.a >> 1) & 0xFF;  // Shift one bit right
+    cpu.a |= (carry << 7);   // Set bit 7 to previous carry flag
+    // Set zero flag if result is zero
+    cpu.status = (cpu.a === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    // Set negative flag if bit 7 of the result is set
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function RTI() {
+export const RTI = [
     /*
     Return from Interrupt
     The RTI instruction is used at the end of an interrupt processing routine.
     It pulls the processor flags from the stack followed by the program counter.
     http://www.6502.org/users/obelisk/6502/reference.html#RTI
     */
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
-    // Pull status register ignoring the break flag and ignored bit
-    // (https://www.masswerk.at/6502/6502_instruction_set.html#RTI)
-    cpu.status = (mainMemory[0x0100 + cpu.sp]) & ~0x30;
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer
-    const lowPC = mainMemory[0x0100 + cpu.sp]; // Pull low byte of return address
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer
-    const highPC = mainMemory[0x0100 + cpu.sp]; // Pull high byte of return address
-    cpu.pc = ((highPC << 8) | lowPC) & 0xFFFF; // Set program counter to the return address
-}
-
-export function RTS() {
+    ...pullStart,
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
+        // Pull status register ignoring the break flag and ignored bit
+        // (https://www.masswerk.at/6502/6502_instruction_set.html#RTI)
+        cpu.status = (cpu.bus.read(0x0100 + cpu.sp)) & ~0x30;
+    },
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer
+        cpu.operand1 = cpu.bus.read(0x0100 + cpu.sp); // Pull low byte of return address
+    },
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer
+        const highPC = cpu.bus.read(0x0100 + cpu.sp); // Pull high byte of return address
+        cpu.pc = ((highPC << 8) | cpu.operand1) & 0xFFFF; // Set program counter to the return address
+    },
+];
+
+export const RTS = [
     /*
     Return from Subroutine
     The RTS instruction is used at the end of a subroutine to return to the calling routine.
     It pulls the program counter (minus one) from the stack.
     http://www.6502.org/users/obelisk/6502/reference.html#RTS
     */
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
-    const lowPC = mainMemory[0x0100 + cpu.sp]; // Pull low byte of return address
-    cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer
-    const highPC = mainMemory[0x0100 + cpu.sp]; // Pull high byte of return address
-    cpu.pc = ((highPC << 8) | lowPC) & 0xFFFF; // Set program counter to the return address
-    // The PC pulled needs to be incremented by 1 to point to the next instruction after the RTS
-    // This is explained in the JSR instruction, which pushes the return address minus one
-    // (last byte of the RTS instruction) due to the internal working of the 6502, as seen in
-    // 1976 MCS 6500 Family Programming Manual (*1) in section 8.1 JSR - Jump to Subroutine p.106..109
-    // https://archive.org/details/6500-50a_mcs6500pgmmanjan76/page/n121/mode/2up?view=theater
-    cpu.pc = (cpu.pc + 1) & 0xFFFF;
-}
-
-export function SBC(memoryLocation) {
+    ...pullStart,
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
+        cpu.operand1 = cpu.bus.read(0x0100 + cpu.sp); // Pull low byte of return address
+    },
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer
+        const highPC = cpu.bus.read(0x0100 + cpu.sp); // Pull high byte of return address
+        cpu.pc = ((highPC << 8) | cpu.operand1) & 0xFFFF; // Set program counter to the return address
+    },
+    (cpu) => {
+        cpu.bus.read(cpu.pc); // Dummy read of the pulled address while it is incremented
+        // The PC pulled needs to be incremented by 1 to point to the next instruction after the RTS
+        // This is explained in the JSR instruction, which pushes the return address minus one
+        // (last byte of the RTS instruction) due to the internal working of the 6502, as seen in
+        // 1976 MCS 6500 Family Programming Manual (*1) in section 8.1 JSR - Jump to Subroutine p.106..109
+        // https://archive.org/details/6500-50a_mcs6500pgmmanjan76/page/n121/mode/2up?view=theater
+        cpu.pc = (cpu.pc + 1) & 0xFFFF;
+    },
+];
+
+export function SBC(cpu, memoryLocation) {
     /*
     Subtract with Carry
     A,Z,C,N = A-M-(1-C)
     This instruction subtracts the contents of a memory location to the accumulator together with the not of
     the carry bit. If overflow occurs the carry bit is clear, this enables multiple byte subtraction to be performed.
     http://www.6502.org/users/obelisk/6502/reference.html#SBC
-    Note: The original 6502 does support decimal mode for this instruction, but the NES 6502 does not,
-    so it is not implemented here.
-    */
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address and page crossing flag
-        const { effectiveAddress, pageCrossed } = memoryLocation;
-        // If pageCrossed is true, it means the effective address crosses a page boundary
-        if (pageCrossed) {
-            cpu.currentInstructionCycles += 1; // Add an extra cycle if the page boundary is crossed
-        }
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
+    Note: The 2A03 of the NES has no decimal mode, the other variants subtract in BCD when the decimal flag is set
+    */
+    const value = cpu.bus.read(memoryLocation);
+    if (decimalMode(cpu)) {
+        subtractDecimal(cpu, value);
+        return;
     }
-
-    const value = mainMemory[memoryLocation];
     const carry = (cpu.status & 0x01) ? 1 : 0;
     // Substract value of memoryLocation and carry from accumulator
     let result = cpu.a - value - (1 - carry);
@@ -1167,7 +1227,7 @@ export function SBC(memoryLocation) {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function SEC() {
+export function SEC(cpu) {
     /*
     Set Carry Flag
     C = 1
@@ -1177,7 +1237,7 @@ export function SEC() {
     cpu.status = cpu.status | 0x01; // Set bit 0 (carry flag)
 }
 
-export function SED() {
+export function SED(cpu) {
     /*
     Set Decimal Flag
     D = 1
@@ -1187,7 +1247,7 @@ export function SED() {
     cpu.status = cpu.status | 0x08; // Set bit 3 (decimal mode flag)
 }
 
-export function SEI() {
+export function SEI(cpu) {
     /*
     Set Interrupt Disable
     I = 1
@@ -1197,47 +1257,37 @@ export function SEI() {
     cpu.status = cpu.status | 0x04; // Set bit 2 (interrupt disable flag)
 }
 
-export function STA(memoryLocation) {
+export function STA(cpu, memoryLocation) {
     /*
     Store Accumulator
     M = A
     Stores the contents of the accumulator into memory.
     http://www.6502.org/users/obelisk/6502/reference.html#STA
     */
-    // STA admits Absolute,X, Absolute,Y and (Indirect),Y addressing but it applies no cycle penalty for page crossing,
-    // so we just obtain the effective address from the object returned by the getAbsoluteX function and ignore the page
-    // crossing flag
-    if (typeof memoryLocation === "object") {
-        // If memoryLocation is an object it was returned by getAbsoluteX, getAbsoluteY or getIndirectYIndexed
-        // Destructure the object to get the address (ignore page crossing flag)
-        const { effectiveAddress } = memoryLocation;
-        memoryLocation = effectiveAddress; // Use the effective address for the operation
-    }
-
-    mainMemory[memoryLocation] = cpu.a;
+    writeMemory(cpu, memoryLocation, cpu.a);
 }
 
-export function STX(memoryLocation) {
+export function STX(cpu, memoryLocation) {
     /*
     Store X Register
     M = X
     Stores the contents of the X register into memory.
     http://www.6502.org/users/obelisk/6502/reference.html#STX
     */
-    mainMemory[memoryLocation] = cpu.x;
+    writeMemory(cpu, memoryLocation, cpu.x);
 }
 
-export function STY(memoryLocation) {
+export function STY(cpu, memoryLocation) {
     /*
     Store Y Register
     M = Y
     Stores the contents of the Y register into memory.
     http://www.6502.org/users/obelisk/6502/reference.html#STY
     */
-    mainMemory[memoryLocation] = cpu.y;
+    writeMemory(cpu, memoryLocation, cpu.y);
 }
 
-export function TAX() {
+export function TAX(cpu) {
     /*
     Transfer Accumulator to X
     X = A
@@ -1252,7 +1302,7 @@ export function TAX() {
     cpu.status = (cpu.x & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function TAY() {
+export function TAY(cpu) {
     /*
     Transfer Accumulator to Y
     Y = A
@@ -1267,7 +1317,7 @@ export function TAY() {
     cpu.status = (cpu.y & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function TSX() {
+export function TSX(cpu) {
     /*
     Transfer Stack Pointer to X
     X = S
@@ -1282,7 +1332,7 @@ export function TSX() {
     cpu.status = (cpu.x & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function TXA() {
+export function TXA(cpu) {
     /*
     Transfer X to Accumulator
     A = X
@@ -1297,7 +1347,7 @@ export function TXA() {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
-export function TXS() {
+export function TXS(cpu) {
     /*
     Transfer X to Stack Pointer
     S = X
@@ -1307,7 +1357,7 @@ export function TXS() {
     cpu.sp = cpu.x; // Store X register in stack pointer
 }
 
-export function TYA() {
+export function TYA(cpu) {
     /*
     Transfer Y to Accumulator
     A = Y
@@ -1322,3 +1372,494 @@ export function TYA() {
     cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80);
 }
 
+// Functions to handle the execution of the instructions added by the 65C02
+// http://www.6502.org/tutorials/65c02opcodes.html
+
+export function BIT_IMMEDIATE(cpu, memoryLocation) {
+    /*
+    Bit Test with immediate addressing
+    Z = A & M
+    Like BIT, but only the zero flag is set, N and V are not changed.
+    */
+    const result = cpu.a & cpu.bus.read(memoryLocation);
+    cpu.status = (result === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+}
+
+export function BRA(cpu, displacement) {
+    /*
+    Branch Always
+    Add the relative displacement to the program counter to cause a branch to a new location.
+    */
+    return branch(cpu, true, displacement);
+}
+
+export const PHX = [
+    /*
+    Push X Register
+    Pushes a copy of the X register on to the stack.
+    */
+    ...pushStart,
+    (cpu) => {
+        cpu.bus.write(0x0100 + cpu.sp, cpu.x); // Push X register
+        cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+    },
+];
+
+export const PHY = [
+    /*
+    Push Y Register
+    Pushes a copy of the Y register on to the stack.
+    */
+    ...pushStart,
+    (cpu) => {
+        cpu.bus.write(0x0100 + cpu.sp, cpu.y); // Push Y register
+        cpu.sp = (cpu.sp - 1) & 0xFF; // Decrement stack pointer
+    },
+];
+
+export const PLX = [
+    /*
+    Pull X Register
+    Pulls an 8 bit value from the stack and into the X register. The zero and negative flags are set as appropriate.
+    */
+    ...pullStart,
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
+        cpu.x = cpu.bus.read(0x0100 + cpu.sp); // Pull X register
+        setZeroNegative(cpu, cpu.x);
+    },
+];
+
+export const PLY = [
+    /*
+    Pull Y Register
+    Pulls an 8 bit value from the stack and into the Y register. The zero and negative flags are set as appropriate.
+    */
+    ...pullStart,
+    (cpu) => {
+        cpu.sp = (cpu.sp + 1) & 0xFF; // Increment stack pointer to point to last pushed value
+        cpu.y = cpu.bus.read(0x0100 + cpu.sp); // Pull Y register
+        setZeroNegative(cpu, cpu.y);
+    },
+];
+
+export function STZ(cpu, memoryLocation) {
+    /*
+    Store Zero
+    M = 0
+    Stores zero into memory.
+    */
+    writeMemory(cpu, memoryLocation, 0x00);
+}
+
+export function TRB(cpu, memoryLocation) {
+    /*
+    Test and Reset Bits
+    Z = A & M, M = M & ~A
+    The zero flag is set as BIT does and the bits of memory that are set in the accumulator are cleared.
+    */
+    const value = cpu.bus.read(memoryLocation);
+    cpu.status = ((cpu.a & value) === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    writeModified(cpu, memoryLocation, value, value & ~cpu.a & 0xFF);
+}
+
+export function TSB(cpu, memoryLocation) {
+    /*
+    Test and Set Bits
+    Z = A & M, M = M | A
+    The zero flag is set as BIT does and the bits of memory that are set in the accumulator are set.
+    */
+    const value = cpu.bus.read(memoryLocation);
+    cpu.status = ((cpu.a & value) === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02);
+    writeModified(cpu, memoryLocation, value, value | cpu.a);
+}
+
+export function WAI(cpu) {
+    /*
+    Wait for Interrupt
+    The CPU stops until an NMI or IRQ is requested. The interrupt is serviced after it, except an IRQ while the
+    interrupt disable flag is set, which only resumes the execution with the next instruction.
+    */
+    cpu.waiting = true;
+}
+
+export function STP(cpu) {
+    /*
+    Stop the Processor
+    The CPU stops and does not respond to interrupts, only a RESET restarts it.
+    */
+    cpu.halted = true;
+}
+
+// Bit instructions (Rockwell and WDC 65C02), the bit number is the last digit of the name
+// RMBn: M = M & ~(1 << n), SMBn: M = M | (1 << n)
+// BBRn: branch if bit n of M is 0, BBSn: branch if bit n of M is 1 (M is the zeropage byte read before the
+// displacement)
+
+function resetMemoryBit(bit) {
+    return (cpu, memoryLocation) => {
+        const value = cpu.bus.read(memoryLocation);
+        writeModified(cpu, memoryLocation, value, value & ~(1 << bit));
+    };
+}
+
+function setMemoryBit(bit) {
+    return (cpu, memoryLocation) => {
+        const value = cpu.bus.read(memoryLocation);
+        writeModified(cpu, memoryLocation, value, value | (1 << bit));
+    };
+}
+
+function branchOnBitReset(bit) {
+    return (cpu, displacement, value) => branch(cpu, (value & (1 << bit)) === 0, displacement);
+}
+
+function branchOnBitSet(bit) {
+    return (cpu, displacement, value) => branch(cpu, (value & (1 << bit)) !== 0, displacement);
+}
+
+export const [RMB0, RMB1, RMB2, RMB3, RMB4, RMB5, RMB6, RMB7] = [0, 1, 2, 3, 4, 5, 6, 7].map(resetMemoryBit);
+export const [SMB0, SMB1, SMB2, SMB3, SMB4, SMB5, SMB6, SMB7] = [0, 1, 2, 3, 4, 5, 6, 7].map(setMemoryBit);
+export const [BBR0, BBR1, BBR2, BBR3, BBR4, BBR5, BBR6, BBR7] = [0, 1, 2, 3, 4, 5, 6, 7].map(branchOnBitReset);
+export const [BBS0, BBS1, BBS2, BBS3, BBS4, BBS5, BBS6, BBS7] = [0, 1, 2, 3, 4, 5, 6, 7].map(branchOnBitSet);
+
+// Functions to handle the execution of unofficial instructions
+// https://www.masswerk.at/6502/6502_instruction_set.html#illegals
+// https://www.nesdev.org/wiki/Programming_with_unofficial_opcodes
+
+// Value ORed with A by the unstable ANE and LXA instructions, it depends on the chip and temperature
+const UNSTABLE_MAGIC = 0xEE;
+
+export function ALR(cpu, memoryLocation) {
+    /*
+    AND + LSR
+    A = (A AND M) / 2, C,Z,N
+    */
+    const value = cpu.a & cpu.bus.read(memoryLocation);
+    cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01); // Bit 0 goes to carry
+    cpu.a = value >> 1;
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function ANC(cpu, memoryLocation) {
+    /*
+    AND with carry set from bit 7
+    A = A AND M, Z,N, C = N
+    */
+    cpu.a &= cpu.bus.read(memoryLocation);
+    setZeroNegative(cpu, cpu.a);
+    cpu.status = (cpu.a & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+}
+
+export function ANE(cpu, memoryLocation) {
+    /*
+    Unstable (A OR magic) AND X AND immediate, also known as XAA
+    A = (A OR magic) AND X AND M, Z,N
+    */
+    cpu.a = (cpu.a | UNSTABLE_MAGIC) & cpu.x & cpu.bus.read(memoryLocation);
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function ARR(cpu, memoryLocation) {
+    /*
+    AND + ROR with special flags
+    A = (A AND M) rotated right, Z,N, C = bit 6 of the result, V = bit 6 XOR bit 5 of the result
+    In decimal mode (NMOS 6502) the flags come from the rotation and each digit of the result is adjusted as ADC
+    adjusts them
+    */
+    const carry = (cpu.status & 0x01) ? 0x80 : 0x00;
+    const value = cpu.a & cpu.bus.read(memoryLocation);
+    cpu.a = (value >> 1) | carry;
+    setZeroNegative(cpu, cpu.a);
+    if (decimalMode(cpu)) {
+        cpu.status = ((value ^ cpu.a) & 0x40) ? (cpu.status | 0x40) : (cpu.status & ~0x40);
+        if ((value & 0x0F) + (value & 0x01) > 0x05) {
+            cpu.a = (cpu.a & 0xF0) | ((cpu.a + 0x06) & 0x0F); // Adjust the low digit
+        }
+        const highCarry = (value & 0xF0) + (value & 0x10) > 0x50;
+        cpu.status = highCarry ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+        if (highCarry) {
+            cpu.a = (cpu.a + 0x60) & 0xFF; // Adjust the high digit
+        }
+        return;
+    }
+    cpu.status = (cpu.a & 0x40) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    cpu.status = (((cpu.a >> 6) ^ (cpu.a >> 5)) & 0x01) ? (cpu.status | 0x40) : (cpu.status & ~0x40);
+}
+
+export function AXS(cpu, memoryLocation) {
+    /*
+    (A AND X) - immediate without borrow, also known as SBX
+    X = (A AND X) - M, C,Z,N (as in CMP)
+    */
+    cpu.x = compare(cpu, cpu.a & cpu.x, cpu.bus.read(memoryLocation));
+}
+
+export function DCP(cpu, memoryLocation) {
+    /*
+    DEC + CMP
+    M = M - 1, compare A with M: C,Z,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    const result = (value - 1) & 0xFF;
+    writeModified(cpu, memoryLocation, value, result);
+    compare(cpu, cpu.a, result);
+}
+
+export function ISC(cpu, memoryLocation) {
+    /*
+    INC + SBC
+    M = M + 1, A = A - M - (1 - C): C,Z,V,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    const result = (value + 1) & 0xFF;
+    writeModified(cpu, memoryLocation, value, result);
+    if (decimalMode(cpu)) {
+        subtractDecimal(cpu, result);
+    } else {
+        addWithCarry(cpu, result ^ 0xFF); // Binary subtraction is the addition of the one's complement
+    }
+}
+
+export function JAM(cpu) {
+    /*
+    Halt the CPU, also known as KIL
+    The CPU gets stuck trying to execute the instruction and stops responding to interrupts. Only a RESET restarts it.
+    */
+    cpu.halted = true;
+}
+
+export function LAS(cpu, memoryLocation) {
+    /*
+    LDA/TSX with the stack pointer ANDed
+    A,X,SP = M AND SP, Z,N
+    */
+    const value = cpu.bus.read(memoryLocation) & cpu.sp;
+    cpu.a = value;
+    cpu.x = value;
+    cpu.sp = value;
+    setZeroNegative(cpu, value);
+}
+
+export function LAX(cpu, memoryLocation) {
+    /*
+    LDA + LDX
+    A,X = M, Z,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    cpu.a = value;
+    cpu.x = value;
+    setZeroNegative(cpu, value);
+}
+
+export function LXA(cpu, memoryLocation) {
+    /*
+    Unstable LAX immediate
+    A,X = (A OR magic) AND M, Z,N
+    */
+    const value = (cpu.a | UNSTABLE_MAGIC) & cpu.bus.read(memoryLocation);
+    cpu.a = value;
+    cpu.x = value;
+    setZeroNegative(cpu, value);
+}
+
+export function RLA(cpu, memoryLocation) {
+    /*
+    ROL + AND
+    M = M rotated left, A = A AND M: C,Z,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    const result = ((value << 1) | (cpu.status & 0x01)) & 0xFF;
+    cpu.status = (value & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    writeModified(cpu, memoryLocation, value, result);
+    cpu.a &= result;
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function RRA(cpu, memoryLocation) {
+    /*
+    ROR + ADC
+    M = M rotated right, A = A + M + C (with the carry of the rotation): C,Z,V,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    const result = (value >> 1) | ((cpu.status & 0x01) ? 0x80 : 0x00);
+    cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    writeModified(cpu, memoryLocation, value, result);
+    if (decimalMode(cpu)) {
+        addDecimal(cpu, result);
+    } else {
+        addWithCarry(cpu, result);
+    }
+}
+
+export function SAX(cpu, memoryLocation) {
+    /*
+    Store A AND X
+    M = A AND X
+    */
+    writeMemory(cpu, memoryLocation, cpu.a & cpu.x);
+}
+
+export function SHA(cpu, memoryLocation) {
+    /*
+    Unstable store of A AND X AND (high byte of the address + 1), also known as AHX
+    */
+    storeHighByteAnd(cpu, memoryLocation, cpu.y, cpu.a & cpu.x);
+}
+
+export function SHX(cpu, memoryLocation) {
+    /*
+    Unstable store of X AND (high byte of the address + 1)
+    */
+    storeHighByteAnd(cpu, memoryLocation, cpu.y, cpu.x);
+}
+
+export function SHY(cpu, memoryLocation) {
+    /*
+    Unstable store of Y AND (high byte of the address + 1)
+    */
+    storeHighByteAnd(cpu, memoryLocation, cpu.x, cpu.y);
+}
+
+export function SLO(cpu, memoryLocation) {
+    /*
+    ASL + ORA
+    M = M * 2, A = A OR M: C,Z,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    const result = (value << 1) & 0xFF;
+    cpu.status = (value & 0x80) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    writeModified(cpu, memoryLocation, value, result);
+    cpu.a |= result;
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function SRE(cpu, memoryLocation) {
+    /*
+    LSR + EOR
+    M = M / 2, A = A XOR M: C,Z,N
+    */
+    const value = cpu.bus.read(memoryLocation);
+    const result = value >> 1;
+    cpu.status = (value & 0x01) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    writeModified(cpu, memoryLocation, value, result);
+    cpu.a ^= result;
+    setZeroNegative(cpu, cpu.a);
+}
+
+export function TAS(cpu, memoryLocation) {
+    /*
+    Unstable transfer of A AND X to SP and store of SP AND (high byte of the address + 1), also known as SHS
+    */
+    cpu.sp = cpu.a & cpu.x;
+    storeHighByteAnd(cpu, memoryLocation, cpu.y, cpu.sp);
+}
+
+// Helper functions of the unofficial instructions (and the 65C02 bit instructions), which combine the operations of two
+// official instructions
+
+function writeModified(cpu, memoryLocation, value, result) {
+    // Write back the unmodified value of the operand read by a read-modify-write instruction and then the result
+    writeMemory(cpu, memoryLocation, value, 2);
+    writeMemory(cpu, memoryLocation, result);
+}
+
+function storeHighByteAnd(cpu, memoryLocation, index, value) {
+    // Store value AND (high byte of the base address + 1) as SHA, SHX, SHY and TAS do, the base address is the
+    // effective address minus the index register. If the indexing crosses a page boundary the high byte of the
+    // effective address is replaced by the stored value
+    const baseAddress = (memoryLocation - index) & 0xFFFF;
+    const pageCrossed = (baseAddress & 0xFF00) !== (memoryLocation & 0xFF00);
+    const result = value & (((baseAddress >> 8) + 1) & 0xFF);
+    writeMemory(cpu, pageCrossed ? ((result << 8) | (memoryLocation & 0xFF)) : memoryLocation, result);
+}
+
+function addWithCarry(cpu, value) {
+    // A = A + value + C with the carry and overflow flags of ADC (SBC adds the one's complement of its operand)
+    const result = cpu.a + value + (cpu.status & 0x01);
+    cpu.status = (result > 0xFF) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    // Overflow if both operands have the same sign and the sign of the result is different
+    const overflow = (~(cpu.a ^ value) & (cpu.a ^ result) & 0x80) !== 0;
+    cpu.status = overflow ? (cpu.status | 0x40) : (cpu.status & ~0x40);
+    cpu.a = result & 0xFF;
+    setZeroNegative(cpu, cpu.a);
+}
+
+// Decimal mode arithmetic of ADC and SBC (and of the unofficial instructions based on them), A and M are BCD numbers
+// with a digit in each nibble. Invalid BCD operands give the results of the real chips
+// http://www.6502.org/tutorials/decimal_mode.html
+
+function decimalMode(cpu) {
+    // The 2A03 ignores the decimal flag
+    return (cpu.status & 0x08) !== 0 && cpu.variant !== VARIANTS.RP2A03;
+}
+
+function addDecimal(cpu, value) {
+    // A = A + M + C in BCD. The NMOS 6502 sets Z from the binary sum and N and V from the sum before the high digit is
+    // adjusted, the 65C02 sets N and Z from the result
+    const carry = cpu.status & 0x01;
+    const binaryResult = (cpu.a + value + carry) & 0xFF;
+    let low = (cpu.a & 0x0F) + (value & 0x0F) + carry;
+    if (low > 0x09) {
+        low = ((low + 0x06) & 0x0F) + 0x10; // Adjust the low digit and carry into the high digit
+    }
+    let result = (cpu.a & 0xF0) + (value & 0xF0) + low;
+    const overflow = (~(cpu.a ^ value) & (cpu.a ^ result) & 0x80) !== 0;
+    cpu.status = overflow ? (cpu.status | 0x40) : (cpu.status & ~0x40);
+    const negative = (result & 0x80) !== 0;
+    if (result > 0x9F) {
+        result += 0x60; // Adjust the high digit
+    }
+    cpu.status = (result > 0xFF) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    cpu.a = result & 0xFF;
+    if (cpu.variant === VARIANTS.WDC_65C02) {
+        setZeroNegative(cpu, cpu.a);
+    } else {
+        setZeroNegative(cpu, binaryResult);
+        cpu.status = negative ? (cpu.status | 0x80) : (cpu.status & ~0x80);
+    }
+}
+
+function subtractDecimal(cpu, value) {
+    // A = A - M - (1 - C) in BCD. The NMOS 6502 sets all the flags as the binary subtraction, the 65C02 sets N and Z
+    // from the result
+    const borrow = 1 - (cpu.status & 0x01);
+    const a = cpu.a;
+    addWithCarry(cpu, value ^ 0xFF); // Flags of the binary subtraction
+    let low = (a & 0x0F) - (value & 0x0F) - borrow;
+    let result;
+    if (cpu.variant === VARIANTS.WDC_65C02) {
+        result = a - value - borrow;
+        if (result < 0) {
+            result -= 0x60; // Adjust the high digit
+        }
+        if (low < 0) {
+            result -= 0x06; // Adjust the low digit
+        }
+    } else {
+        if (low < 0) {
+            low = ((low - 0x06) & 0x0F) - 0x10; // Adjust the low digit and borrow from the high digit
+        }
+        result = (a & 0xF0) - (value & 0xF0) + low;
+        if (result < 0) {
+            result -= 0x60; // Adjust the high digit
+        }
+    }
+    cpu.a = result & 0xFF;
+    if (cpu.variant === VARIANTS.WDC_65C02) {
+        setZeroNegative(cpu, cpu.a);
+    }
+}
+
+function compare(cpu, register, value) {
+    // Set the flags as CMP does for register - value and return the 8 bit result
+    const result = (register - value) & 0xFF;
+    cpu.status = (register >= value) ? (cpu.status | 0x01) : (cpu.status & ~0x01);
+    setZeroNegative(cpu, result);
+    return result;
+}
+
+function setZeroNegative(cpu, value) {
+    cpu.status = (value === 0x00) ? (cpu.status | 0x02) : (cpu.status & ~0x02); // Zero flag
+    cpu.status = (value & 0x80) ? (cpu.status | 0x80) : (cpu.status & ~0x80); // Negative flag
+}
@@ -0,0 +1,154 @@
+// Keyboard input of the browser interface: keys bound to the buttons of the 2 controllers, remappable in the controller
+// settings of the page and saved in localStorage with the option that allows Left+Right and Up+Down held together
+
+import { BUTTONS } from './controller.js'; // Buttons of the standard controller
+
+const STORAGE_KEY = "nes-input-settings"; // localStorage item of the settings: {bindings, allowOpposingDirections}
+
+// Default key (KeyboardEvent.code) of each button of each controller
+const DEFAULT_BINDINGS = [
+    {
+        a: "KeyX", b: "KeyZ", select: "ShiftRight", start: "Enter",
+        up: "ArrowUp", down: "ArrowDown", left: "ArrowLeft", right: "ArrowRight",
+    },
+    {
+        a: "KeyG", b: "KeyF", select: "KeyT", start: "KeyY",
+        up: "KeyW", down: "KeyS", left: "KeyA", right: "KeyD",
+    },
+];
+
+class KeyboardInput {
+    constructor(emulator, element) {
+        this.emulator = emulator;
+        this.bindings = DEFAULT_BINDINGS.map((bindings) => ({ ...bindings })); // Key of each button of each port
+        this.allowOpposingDirections = false;
+        this.bindingButtons = [...element.querySelectorAll("button[data-button]")]; // Buttons that show the keys
+        this.opposingCheckbox = element.querySelector(".allow-opposing-directions");
+        this.rebinding = null; // Button of the page waiting for the key of its binding (or null)
+        this.load();
+
+        for (const button of this.bindingButtons) {
+            button.addEventListener("click", () => this.startRebinding(button));
+        }
+        this.opposingCheckbox.addEventListener("change", () => {
+            this.allowOpposingDirections = this.opposingCheckbox.checked;
+            this.apply();
+        });
+        window.addEventListener("keydown", (event) => this.handleKey(event, true));
+        window.addEventListener("keyup", (event) => this.handleKey(event, false));
+        // Keys released while the page has no focus never send their keyup
+        window.addEventListener("blur", () => this.releaseAll());
+        this.apply();
+    }
+
+    load() {
+        // Settings saved in localStorage, the defaults are kept for the missing or invalid ones
+        let settings;
+        try {
+            settings = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch {
+            settings = null;
+        }
+        if (settings === null || typeof settings !== "object") {
+            return;
+        }
+        if (Array.isArray(settings.bindings)) {
+            this.bindings.forEach((bindings, port) => {
+                for (const button of BUTTONS) {
+                    const key = settings.bindings[port]?.[button];
+                    if (typeof key === "string" || key === null) {
+                        bindings[button] = key;
+                    }
+                }
+            });
+        }
+        this.allowOpposingDirections = settings.allowOpposingDirections === true;
+    }
+
+    apply() {
+        // Show the settings in the page, pass the option to the emulator and save them
+        for (const button of this.bindingButtons) {
+            button.textContent = this.bindings[button.dataset.port][button.dataset.button] ?? "None";
+        }
+        this.opposingCheckbox.checked = this.allowOpposingDirections;
+        this.emulator.setOpposingDirections(this.allowOpposingDirections);
+        try {
+            localStorage.setItem(STORAGE_KEY,
+                JSON.stringify({ bindings: this.bindings, allowOpposingDirections: this.allowOpposingDirections }));
+        } catch (error) {
+            console.warn("Could not save the input settings:", error);
+        }
+    }
+
+    startRebinding(button) {
+        // The next key pressed is bound to the button, Escape cancels and Backspace removes the binding
+        if (this.rebinding !== null) {
+            this.rebinding.classList.remove("rebinding");
+        }
+        this.rebinding = button;
+        button.classList.add("rebinding");
+        button.textContent = "Press a key...";
+    }
+
+    handleKey(event, pressed) {
+        // keydown/keyup listener: rebind a button, or press or release the buttons bound to the key
+        if (this.rebinding !== null) {
+            if (pressed) {
+                event.preventDefault();
+                this.finishRebinding(event.code);
+            }
+            return;
+        }
+        // Keys typed in the fields of the page are not for the controllers
+        if (event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement ||
+            event.target instanceof HTMLTextAreaElement) {
+            return;
+        }
+        let bound = false;
+        this.bindings.forEach((bindings, port) => {
+            for (const button of BUTTONS) {
+                if (bindings[button] === event.code) {
+                    this.emulator.setButton(port, button, pressed);
+                    bound = true;
+                }
+            }
+        });
+        if (bound) {
+            event.preventDefault(); // e.g. the arrows would scroll the page
+        }
+    }
+
+    finishRebinding(code) {
+        const { port, button } = this.rebinding.dataset;
+        this.rebinding.classList.remove("rebinding");
+        this.rebinding = null;
+        if (code !== "Escape") {
+            const key = (code === "Backspace") ? null : code;
+            // A key controls a single button, it is removed from the button it was bound to
+            for (const bindings of this.bindings) {
+                for (const other of BUTTONS) {
+                    if (bindings[other] === key) {
+                        bindings[other] = null;
+                    }
+                }
+            }
+            this.releaseAll();
+            this.bindings[port][button] = key;
+        }
+        this.apply();
+    }
+
+    releaseAll() {
+        for (let port = 0; port < this.bindings.length; port++) {
+            for (const button of BUTTONS) {
+                this.emulator.setButton(port, button, false);
+            }
+        }
+    }
+}
+
+export function createKeyboardInput(emulator, element) {
+    // Create the keyboard input of an emulator with the controller settings in the markup of the element (see the
+    // controller settings of index.html), loading the saved settings
+    return new KeyboardInput(emulator, element);
+}
@@ -1,90 +1,185 @@
-import { opcodeMatrix } from './decode.js';    // Opcode mattrix for decoding instructions
-import * as execute from './execute.js'; // Functions to execute instructions based on the addressing mode
+// Browser interface of the emulator: ROM loading, execution controls and debugger displays of an Emulator instance
+
+import * as core from './emulator.js'; // Headless emulator core
+import { detectFormat, parseProgram } from './program.js'; // Plain 6502 program files
+import { createScheduler } from './scheduler.js'; // Frame scheduler of the Run loop
+import { createAudioOutput } from './audio.js'; // Web Audio output of the APU
+import { createMixerPanel } from './mixer.js'; // Per-channel audio debugging panel
+import { createKeyboardInput } from './input.js'; // Keyboard bindings of the controllers
 
 const romInput = document.getElementById("romInput");
 const loadButton = document.getElementById("loadButton");
+const programInput = document.getElementById("programInput");
+const loadProgramButton = document.getElementById("loadProgramButton");
 const runButton = document.getElementById("runButton");
 const stopButton = document.getElementById("stopButton");
+const resetButton = document.getElementById("resetButton");
 const stepButton = document.getElementById("stepButton");
 const cycleButton = document.getElementById("cycleButton");
+const traceCheckbox = document.getElementById("traceCheckbox");
+const variantSelect = document.getElementById("variantSelect");
 const totalCyclesDisplay = document.getElementById("totalCycles");
-
-export let mainMemory = new Uint8Array(0x10000); // 64KB of main CPU memory in a Uint8Array (bytes)
-export let ppuMemory = new Uint8Array(0x4000); // 16KB of PPU memory in a Uint8Array (bytes)
-
-export let cpu = {
-    a: 0, // Accumulator
-    x: 0, // X Register
-    y: 0, // Y Register
-    pc: 0xC000, // Program Counter starts at 0xC000
-    sp: 0xFF, // Stack Pointer starts at 0xFF
-    // Status Register Flags, bit 7 to bit 0 are:
-    // N (negative), V (overflow), - (ignored), B (break), D (decimal mode), I (interrupt disable), Z (zero), C (carry)
-    status: 0,
-    currentInstructionCycles: 0,    // Cycles remaining for the current instruction to execute
-    totalCycles: 0, // Total cycles executed by the CPU
-};
-
-let romLoaded = false; // Flag to check if a ROM has been loaded to avoid executing instructions without a ROM
+const busActivityDisplay = document.getElementById("busActivity");
+const speedDisplay = document.getElementById("speed");
+const volumeSlider = document.getElementById("volume");
+const romError = document.getElementById("romError");
+const programInfoDisplay = document.getElementById("programInfo");
+const gameScreen = document.getElementById("game-screen");
+const gameScreenContext = gameScreen.getContext("2d");
+const gameScreenImage = gameScreenContext.createImageData(256, 240); // Image the PPU frames are copied to
+
+const emulator = new core.Emulator();
+const scheduler = createScheduler(emulator, { onFrame: drawFrame, onStats: showSpeed });
+const audio = createAudioOutput();
+const mixer = createMixerPanel(emulator, document.getElementById("mixer-status"));
+createKeyboardInput(emulator, document.getElementById("controller-settings"));
+emulator.on("frame", (frameBuffer) => {
+    // While running, the scheduler draws the last frame of each animation frame instead
+    if (!scheduler.running) {
+        drawFrame(frameBuffer);
+    }
+});
+emulator.on("audio", (samples) => {
+    // Only the samples of the Run loop are played, stepping is silent
+    if (scheduler.running) {
+        audio.push(samples);
+    }
+});
+emulator.on("instruction", showInstruction);
+emulator.on("reset", () => {
+    updateprogramDisplay();
+    updateCpuDisplay();
+});
 
 loadButton.addEventListener("click", readRom);
+loadProgramButton.addEventListener("click", readProgram);
 
 function readRom() {
-    // Input file reading, validation and processing (removing header and last 8KB of CHR-ROM)
+    // Input file reading, header parsing and validation before loading the cartridge into memory
 
     const file = romInput.files[0];
     if (!file) {
-        alert("Please select a ROM file.");
+        showRomError("Please select a ROM file.");
         return;
     }
 
     const reader = new FileReader();
     reader.onload = (event) => {
-        let romData = new Uint8Array(event.target.result);
-        console.log('ROM data read:', romData);
-        // Remove 16 bytes header if present
-        if (romData[0] === 0x4E && romData[1] === 0x45 && romData[2] === 0x53 && romData[3] === 0x1A) {
-            console.log('iNES file detected, removing 16 byte header.');
-            romData = romData.slice(16);
+        const romData = new Uint8Array(event.target.result);
+        try {
+            emulator.loadRom(romData);
+        } catch (error) {
+            // Malformed file or unsupported mapper, keep the previously loaded ROM (if any) and tell the user why
+            showRomError(`Could not load ${file.name}: ${error.message}`);
+            return;
         }
-        console.log('ROM data after header removal:', romData);
-
-        // Load the CHR-ROM data into PPU memory
-        loadCHRRom(romData);
+        showRomError("");
+        programInfoDisplay.textContent = "None";
+        updateHeaderDisplay(emulator.cartridge);
 
-        // Remove the last 8KB of chr-rom sice it is not used by the CPU
-        console.log('Removing last 8KB of CHR-ROM.');
-        romData = romData.slice(0, -8192);
-        console.log('ROM data after removing last 8KB:', romData);
+        // Display the CHR-ROM data in the pattern tables
+        loadCHRRom();
+    };
+    reader.onerror = () => {
+        showRomError("Error reading the ROM file.");
+    };
+    reader.readAsArrayBuffer(file);
+}
 
-        loadRom(romData);
+function readProgram() {
+    // Read a plain 6502 program (e.g. an exercise or Klaus Dormann's functional test binary) and load it into the RAM
+    // of the CPU instead of a cartridge, with the load address, reset vector and start PC of the form
+    const file = programInput.files[0];
+    if (!file) {
+        showRomError("Please select a program file.");
+        return;
+    }
+    let loadAddress, resetVector, start;
+    try {
+        loadAddress = parseHexField("programAddress", "load address") ?? 0x0000;
+        resetVector = parseHexField("programResetVector", "reset vector");
+        start = parseHexField("programStart", "start PC");
+    } catch (error) {
+        showRomError(error.message);
+        return;
+    }
 
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        const data = new Uint8Array(event.target.result);
+        const selectedFormat = document.getElementById("programFormat").value;
+        const format = (selectedFormat === "auto") ? detectFormat(data) : selectedFormat;
+        try {
+            const program = parseProgram(data, format, loadAddress);
+            emulator.loadProgram(program, { resetVector, start });
+        } catch (error) {
+            showRomError(`Could not load ${file.name}: ${error.message}`);
+            return;
+        }
+        const bytes = emulator.program.segments.reduce((total, segment) => total + segment.bytes.length, 0);
+        showRomError("");
+        programInfoDisplay.textContent = `${file.name} (${format}, ${bytes} bytes), ` +
+            `PC $${emulator.cpu.pc.toString(16).toUpperCase().padStart(4, "0")}`;
+        totalCyclesDisplay.textContent = emulator.cpu.totalCycles;
+        updateprogramDisplay();
+        updateCpuDisplay();
     };
     reader.onerror = () => {
-        alert("Error reading the ROM file.");
+        showRomError("Error reading the program file.");
     };
     reader.readAsArrayBuffer(file);
 }
 
-function loadCHRRom(romData) {
-    // Extract the last 8KB of CHR-ROM data from the ROM file
+function parseHexField(id, description) {
+    // 16 bit address typed in hexadecimal in a text field, null if the field is empty
+    const text = document.getElementById(id).value.trim().replace(/^(\$|0x)/i, "");
+    if (text === "") {
+        return null;
+    }
+    if (!/^[0-9A-Fa-f]{1,4}$/.test(text)) {
+        throw new Error(`The ${description} must be a 16 bit hexadecimal address.`);
+    }
+    return parseInt(text, 16);
+}
+
+function showRomError(message) {
+    // Display (or clear with an empty message) the ROM loading error below the ROM selection buttons
+    romError.textContent = message;
+}
+
+function updateHeaderDisplay(cartridge) {
+    // Show the fields of the parsed header in the cartridge information table
+    const formatSize = (size) => (size >= 1024) ? `${size / 1024}KB` : `${size}B`;
+    document.getElementById("header-format").textContent = cartridge.format;
+    document.getElementById("header-mapper").textContent =
+        `${cartridge.mapper}` + (cartridge.submapper ? `.${cartridge.submapper}` : "");
+    document.getElementById("header-prg-rom").textContent =
+        `${formatSize(cartridge.prgRomSize)} (${cartridge.prgRomBanks} x 16KB)`;
+    document.getElementById("header-chr-rom").textContent = (cartridge.chrRomSize === 0) ? "None (CHR-RAM)" :
+        `${formatSize(cartridge.chrRomSize)} (${cartridge.chrRomBanks} x 8KB)`;
+    document.getElementById("header-prg-ram").textContent =
+        `${formatSize(cartridge.prgRamSize)} / ${formatSize(cartridge.prgNvramSize)} battery backed`;
+    document.getElementById("header-chr-ram").textContent =
+        `${formatSize(cartridge.chrRamSize)} / ${formatSize(cartridge.chrNvramSize)} battery backed`;
+    document.getElementById("header-mirroring").textContent = cartridge.mirroring;
+    document.getElementById("header-battery").textContent = cartridge.battery ? "Yes" : "No";
+    document.getElementById("header-trainer").textContent = cartridge.hasTrainer ? "Yes" : "No";
+    document.getElementById("header-tv-system").textContent = cartridge.tvSystem;
+}
+
+function loadCHRRom() {
+    // Read the CHR banks that the mapper makes visible at power on to display the pattern tables
+    // (cartridges with CHR-RAM start with empty pattern tables)
     const chrRomSize = 8192; // 8KB CHR-ROM size
-    const chrRomStart = romData.length - chrRomSize;
-    console.log('Extracting last 8KB of CHR-ROM from ROM data.');
     let chrRom = new Uint8Array(chrRomSize);
-    chrRom.set(romData.slice(chrRomStart, romData.length)); // Get last 8KB of CHR-ROM
-    console.log('CHR-ROM data:', chrRom);
+    for (let address = 0; address < chrRomSize; address++) {
+        chrRom[address] = emulator.mapper.ppuRead(address);
+    }
 
     displayPatternTables(chrRom);   // Draw the pattern table pixels in the 2 HTML canvas at the left of the inteface
-
-    // Load the CHR-ROM data into PPU memory starting at address 0
-    console.log('Loading CHR-ROM into PPU memory.');
-    ppuMemory.set(chrRom, 0);
-    console.log('PPU memory after loading CHR-ROM:', ppuMemory);
 }
 
 function displayPatternTables(chrRom) {
-    console.log('Displaying Pattern Tables.');
     const patternTable1 = document.getElementById("pattern-table1");
     const patternTable2 = document.getElementById("pattern-table2");
     const ctx1 = patternTable1.getContext("2d");
@@ -142,48 +237,24 @@ function displayPatternTables(chrRom) {
     }
 }
 
-function loadRom(romData) {
-    // TODO: Check ROM header for PGR-ROM size and load accordingly,
-    // for now I assume roms are 16KB/32KB PGR-ROM and 8KB CHR-ROM
-
-    const loadAddress = 0x10000 - romData.length; // Load ROM at the end of CPU memory space
-    console.log(romData.length, 'bytes to load into memory.');
-    console.log(`Loading ROM into memory at address 0x${loadAddress.toString(16).toUpperCase()}`);
-    mainMemory.set(romData, loadAddress);
-    console.log('ROM loaded into memory:', mainMemory);
-
-    // Initialize PC with the value of the reset vector at 0xFFFC and 0xFFFD (little-endian)
-    cpu.pc = mainMemory[0xFFFC] | (mainMemory[0xFFFD] << 8);
-    console.log('Program Counter initialized to:', cpu.pc.toString(16).toUpperCase());
-
-    // Initialize Stack Pointer to 0xFF (descending stack)
-    cpu.sp = 0xFF;
-    console.log('Stack Pointer initialized to:', cpu.sp.toString(16).toUpperCase());
-
-    updateprogramDisplay();
-    updateCpuDisplay();
-    romLoaded = true;
-}
-
 function updateprogramDisplay() {
-    const programDisplay = document.getElementById("program");
-    programDisplay.innerHTML = "";
+    const cpu = emulator.cpu;
+    // The 9 lines of the display are updated in place instead of rebuilding its HTML
+    const lines = document.getElementById("program").children;
 
     // Display memory addresses of the text segment around the Program Counter (PC +- 4)
     for (let i = cpu.pc - 4; i <= cpu.pc + 4; i++) {
         const addr = `0x${i.toString(16).toUpperCase().padStart(4, '0')}`;
-        const value = `0x${mainMemory[i].toString(16).toUpperCase().padStart(2, '0')}`;
-        if (i === cpu.pc) {
-            // Highlight the PC address with bold font and red color
-            programDisplay.innerHTML += `<p style="color: red"><strong>${addr}: ${value}</strong></p>`;
-        } else {
-            // Rest of the memory addresses adjacent to PC  (+-4)
-            programDisplay.innerHTML += `<p>${addr}: ${value}</p>`;
-        }
+        const value = `0x${emulator.bus.peek(i).toString(16).toUpperCase().padStart(2, '0')}`;
+        const line = lines[i - cpu.pc + 4];
+        line.textContent = `${addr}: ${value}`;
+        // Highlight the PC address with bold font and red color, the rest are the memory addresses adjacent to PC
+        line.classList.toggle("pc", i === cpu.pc);
     }
 }
 
 function updateCpuDisplay() {
+    const cpu = emulator.cpu;
     document.getElementById("A").textContent = `0x${cpu.a.toString(16).toUpperCase().padStart(2, '0')}`;
     document.getElementById("X").textContent = `0x${cpu.x.toString(16).toUpperCase().padStart(2, '0')}`;
     document.getElementById("Y").textContent = `0x${cpu.y.toString(16).toUpperCase().padStart(2, '0')}`;
@@ -195,122 +266,135 @@ function updateCpuDisplay() {
     }
 }
 
-let runInterval = null;
-
 runButton.addEventListener("click", () => {
-    if (!romLoaded) {
-        alert("Please load a ROM before running the emulator.");
+    if (!emulator.loaded) {
+        alert("Please load a ROM or a program before running the emulator.");
         return;
     }
 
-    if (!runInterval) {
-        // Execute CPU cycles at 1ms intervals (TODO: adjust interval for 60 FPS emulation once PPU is implemented)
-        runInterval = setInterval(() => {
-            cpuCycle();
-            // TODO: implement PPU cycles (ppu clock frequency is 3 times the CPU clock frequency)
-            // ppuCycle();
-            // ppuCycle();
-            // ppuCycle();
-        }, 1);
+    if (!scheduler.running) {
+        // Emulate the frames due in each animation frame at the NTSC speed. The debugger displays are not updated
+        // while running, only the screen and the speed readout
+        emulator.off("instruction", showInstruction);
+        scheduler.start();
+        // Once the audio output is playing, the emulation follows its clock. Without audio it keeps following the
+        // wall-clock time
+        audio.start().then(() => {
+            if (scheduler.running) {
+                emulator.setSampleRate(audio.sampleRate);
+                scheduler.setClock(() => audio.currentTime);
+            }
+        }).catch((error) => {
+            console.warn("Audio output not available:", error);
+        });
     }
 });
 
-// Button to stop the execution interval loop
-stopButton.addEventListener("click", () => {
-    if (runInterval) {
-        clearInterval(runInterval);
-        runInterval = null;
+volumeSlider.addEventListener("input", () => {
+    audio.setVolume(volumeSlider.value / 100);
+});
+
+// Button to stop the frame loop
+stopButton.addEventListener("click", stopRunning);
+
+resetButton.addEventListener("click", () => {
+    if (emulator.loaded) {
+        emulator.reset();
     }
 });
 
 stepButton.addEventListener("click", () => {
-    if (!romLoaded) {
-        alert("Please load a ROM before executing instructions.");
+    if (!emulator.loaded) {
+        alert("Please load a ROM or a program before executing instructions.");
         return;
     }
     // Run a single CPU cycle and keep executing until the current instruction is fully executed
-    do {
-        cpuCycle();
-    } while (cpu.currentInstructionCycles > 0);
+    stopRunning();
+    emulator.step();
+    totalCyclesDisplay.textContent = emulator.cpu.totalCycles;
+    showBusActivity();
 });
 
 cycleButton.addEventListener("click", () => {
-    if (!romLoaded) {
-        alert("Please load a ROM before executing cycles.");
+    if (!emulator.loaded) {
+        alert("Please load a ROM or a program before executing cycles.");
         return;
     }
-    // Run a single CPU cycle
+    // Run a single CPU cycle and show its bus access
+    stopRunning();
     cpuCycle();
+    showBusActivity();
 });
 
-// Function to execute a single CPU cycle (since instructions are not implemented at a cycle level the whole instruction
-// is executed and the next calls to cpuCycle will not run a new instruction until the function is run as many times as
-// the cycles needed for the instruction to finish in real hardware)
-function cpuCycle() {
-    if (cpu.currentInstructionCycles === 0) {
-        // Decode and execute the next instruction
-        decodeInstruction();
-        updateprogramDisplay();
-        updateCpuDisplay();
+// Trace mode: log a line in the nestest.log format for every instruction executed
+traceCheckbox.addEventListener("change", () => {
+    if (traceCheckbox.checked) {
+        emulator.on("trace", logTrace);
+    } else {
+        emulator.off("trace", logTrace);
     }
-    cpu.currentInstructionCycles--;
-    cpu.totalCycles++;
-    totalCyclesDisplay.textContent = cpu.totalCycles;
-}
+});
 
-function executeInstruction(instructionName, addressingMode, ...args) {
-    if (typeof execute[instructionName] === 'function') {
-        // Get the function operand based on the addressing mode
-        // TODO: Should the fetching of the operand be done here or before???
-        const instructionOperand = execute.addressModeHandlers[addressingMode](args);
-        execute[instructionName](instructionOperand);
-    } else {
-        console.error(`Function ${instructionName} not found in execute module.`);
+// CPU variant: the NES uses the 2A03, the others are for testing generic 6502 code
+variantSelect.addEventListener("change", () => {
+    emulator.setVariant(variantSelect.value);
+});
+
+function stopRunning() {
+    // Stop the frame loop and show the state in which the CPU was left
+    if (!scheduler.running) {
+        return;
     }
+    scheduler.stop();
+    audio.stop();
+    emulator.on("instruction", showInstruction);
+    speedDisplay.textContent = "Stopped";
+    totalCyclesDisplay.textContent = emulator.cpu.totalCycles;
+    updateprogramDisplay();
+    updateCpuDisplay();
 }
 
-function decodeInstruction() {
-    const opcode = mainMemory[cpu.pc]; // Fetch
-    const instruction = opcodeMatrix[opcode];
+function showSpeed({ fps, speed }) {
+    // Readout of the frames drawn per second and the emulation speed (100% is a real NTSC console), updated once per
+    // second while running
+    speedDisplay.textContent = `${fps.toFixed(1)} FPS, ${speed.toFixed(0)}% speed`;
+    totalCyclesDisplay.textContent = emulator.cpu.totalCycles;
+}
+
+function logTrace(line) {
+    console.log(line);
+}
 
-    if (!instruction) {
-        console.error(`Unknown opcode: 0x${opcode.toString(16).toUpperCase()}`);
+function cpuCycle() {
+    // Execute a single CPU cycle (and the 3 PPU cycles of each one) and show the cycle count
+    emulator.stepCycle();
+    totalCyclesDisplay.textContent = emulator.cpu.totalCycles;
+}
+
+function showBusActivity() {
+    // Show the bus access of the last CPU cycle, e.g. "read $8001 = 0x4C" (cycles of a halted CPU have none)
+    const access = emulator.bus.lastAccess;
+    if (access.type === null) {
+        busActivityDisplay.textContent = emulator.cpu.halted ? "None (CPU halted)" : "None";
         return;
     }
+    const address = access.address.toString(16).toUpperCase().padStart(4, '0');
+    const value = access.value.toString(16).toUpperCase().padStart(2, '0');
+    busActivityDisplay.textContent = `${access.type} $${address} = 0x${value}`;
+}
 
-    console.log(`Executing instruction: ${instruction.instructionName} with addrmode: ${instruction.addressingMode}`);
-    // Set the cycles for the current instruction to finish execution
-    cpu.currentInstructionCycles = instruction.cycles;
-
-    // Update the last instruction display
-    if (instruction.size === 1) {
-        // Single byte instruction (only opcode)
-        // Increment PC by the size of the instruction
-        cpu.pc += instruction.size;
-        executeInstruction(instruction.instructionName, instruction.addressingMode);
-        document.getElementById("lastInstruction").textContent =
-            `${instruction.instructionName} (${instruction.addressingMode})`;
-    }
-    else if (instruction.size === 2) {
-        // Two byte instruction (opcode + one byte operand)
-        const operand = mainMemory[cpu.pc + 1];
-        // Increment PC by the size of the instruction
-        cpu.pc += instruction.size;
-        executeInstruction(instruction.instructionName, instruction.addressingMode, operand);
-        document.getElementById("lastInstruction").textContent =
-            `${instruction.instructionName} (${instruction.addressingMode}) 
-            0x${operand.toString(16).toUpperCase().padStart(2, '0')}`;
-    }
-    else {
-        // Three byte instruction (opcode + two byte operand)
-        const operand1 = mainMemory[cpu.pc + 1];
-        const operand2 = mainMemory[cpu.pc + 2];
-        // Increment PC by the size of the instruction
-        cpu.pc += instruction.size;
-        executeInstruction(instruction.instructionName, instruction.addressingMode, operand1, operand2);
-        document.getElementById("lastInstruction").textContent =
-            `${instruction.instructionName} (${instruction.addressingMode}) 
-            0x${operand1.toString(16).toUpperCase().padStart(2, '0')} 
-            0x${operand2.toString(16).toUpperCase().padStart(2, '0')}`;
-    }
+function showInstruction(instruction) {
+    // Show the instruction executed by the CPU in the last instruction display, and the state of the CPU after it
+    const operands = instruction.operands.map((operand) => `0x${operand.toString(16).toUpperCase().padStart(2, '0')}`);
+    document.getElementById("lastInstruction").textContent =
+        `${instruction.instructionName} (${instruction.addressingMode}) ${operands.join(" ")}`;
+    updateprogramDisplay();
+    updateCpuDisplay();
+}
+
+function drawFrame(frameBuffer) {
+    // Copy the last frame rendered by the PPU to the game screen canvas
+    gameScreenImage.data.set(frameBuffer);
+    gameScreenContext.putImageData(gameScreenImage, 0, 0);
+    mixer.draw();
 }
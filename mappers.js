@@ -0,0 +1,408 @@
+// Cartridge mappers: the hardware in the cartridge board that decodes CPU accesses to $4020-$FFFF and PPU accesses to
+// $0000-$1FFF, selecting the PRG/CHR banks that are visible and how the nametables are mirrored
+// https://www.nesdev.org/wiki/Mapper
+
+import { MIRRORING } from './cartridge.js';
+
+const PRG_WINDOW_SIZE = 0x2000; // PRG-ROM is mapped in 4 windows of 8KB at $8000-$FFFF
+const CHR_WINDOW_SIZE = 0x0400; // CHR memory is mapped in 8 windows of 1KB at $0000-$1FFF
+// Minimum number of PPU cycles that A12 has to stay low for the MMC3 to count its next rising edge
+// (the MMC3 counts the falling edges of the CPU clock M2, roughly 3 CPU cycles)
+const A12_LOW_FILTER = 10;
+
+// Mapper interface shared by every board:
+//   cpuRead(address) / cpuWrite(address, value, cycle)  CPU accesses to $4020-$FFFF (cycle: CPU cycle of the write)
+//                                                      cpuRead returns null for addresses not driven (open bus)
+//   ppuRead(address) / ppuWrite(address, value)        PPU accesses to the pattern tables at $0000-$1FFF
+//   mirroring                                          Current nametable arrangement (one of MIRRORING)
+//   irqAsserted                                        State of the IRQ line driven by the mapper
+//   onScanline()                                       Hook called by the PPU at the end of each rendered scanline
+//   onPpuAddress(address, ppuCycle)                    Hook called by the PPU for every address it puts in its bus
+class Mapper {
+    constructor(cartridge) {
+        this.prgRom = cartridge.prgRom;
+        // Boards without CHR-ROM have CHR-RAM that can be written by the PPU
+        this.chrIsRam = cartridge.chrRomSize === 0;
+        this.chrMemory = this.chrIsRam ?
+            new Uint8Array(Math.max(cartridge.chrRamSize + cartridge.chrNvramSize, 0x2000)) : cartridge.chrRom;
+        // 8KB of PRG-RAM at $6000-$7FFF (only bigger if the header asks for more, the extra RAM needs banking)
+        this.prgRam = new Uint8Array(Math.max(cartridge.prgRamSize + cartridge.prgNvramSize, 0x2000));
+        this.mirroring = cartridge.mirroring;
+        // Four-screen boards have their own nametable RAM so the mapper cannot change the mirroring
+        this.fixedMirroring = cartridge.mirroring === MIRRORING.FOUR_SCREEN;
+        this.irqAsserted = false;
+        // Discrete logic boards with bus conflicts AND the value written with the ROM byte at the same address (NES 2.0
+        // submapper 2 of the UxROM, CNROM and AxROM mappers, the rest of headers are assumed to have no conflicts)
+        this.busConflicts = false;
+
+        this.prgMap = new Array(4).fill(0); // Offset in prgRom of the bank visible in each 8KB CPU window
+        this.chrMap = new Array(8).fill(0); // Offset in chrMemory of the bank visible in each 1KB PPU window
+        // Power on state: first 32KB of PRG-ROM (16KB ROMs are mirrored) and first 8KB of CHR
+        this.mapPrg(0x8000, 0x0000, 0);
+        this.mapChr(0x2000, 0x0000, 0);
+    }
+
+    mapPrg(size, address, bank) {
+        // Make the PRG-ROM bank number "bank" (counted in units of size bytes, negative values count from the last
+        // bank) visible at CPU address $8000 + address. Bank numbers bigger than the ROM wrap around like in hardware,
+        // where the unused upper bits of the bank register are not connected
+        mapBank(this.prgMap, this.prgRom.length, PRG_WINDOW_SIZE, size, address, bank);
+    }
+
+    mapChr(size, address, bank) {
+        // Make the CHR bank number "bank" (counted in units of size bytes) visible at PPU address $0000 + address
+        mapBank(this.chrMap, this.chrMemory.length, CHR_WINDOW_SIZE, size, address, bank);
+    }
+
+    setMirroring(mirroring) {
+        if (!this.fixedMirroring) {
+            this.mirroring = mirroring;
+        }
+    }
+
+    cpuRead(address) {
+        if (address >= 0x8000) {
+            return this.prgRom[this.prgMap[(address - 0x8000) >> 13] + (address & 0x1FFF)];
+        }
+        if (address >= 0x6000) {
+            return this.prgRam[address - 0x6000];
+        }
+        return null; // Expansion area at $4020-$5FFF is not used by the supported mappers (open bus)
+    }
+
+    cpuWrite(address, value, cycle) {
+        if (address >= 0x8000) {
+            if (this.busConflicts) {
+                value &= this.cpuRead(address);
+            }
+            this.writeRegister(address, value, cycle);
+        } else if (address >= 0x6000) {
+            this.prgRam[address - 0x6000] = value;
+        }
+    }
+
+    writeRegister() {
+        // Writes to $8000-$FFFF, boards without registers (NROM) ignore them since the ROM cannot be written
+    }
+
+    ppuRead(address) {
+        return this.chrMemory[this.chrMap[address >> 10] + (address & 0x03FF)];
+    }
+
+    ppuWrite(address, value) {
+        if (this.chrIsRam) {
+            this.chrMemory[this.chrMap[address >> 10] + (address & 0x03FF)] = value;
+        }
+    }
+
+    onScanline() {
+        // Only mappers with scanline counters need to do something at the end of each scanline
+    }
+
+    onPpuAddress() {
+        // Only mappers that watch the PPU address bus (MMC3 scanline counter) need to do something on PPU accesses
+    }
+}
+
+class NromMapper extends Mapper {
+    // Mapper 0 (NROM): 16KB or 32KB of PRG-ROM and 8KB of CHR with no bank switching
+    // https://www.nesdev.org/wiki/NROM
+}
+
+class UxromMapper extends Mapper {
+    // Mapper 2 (UxROM): switchable 16KB PRG-ROM bank at $8000-$BFFF and the last bank fixed at $C000-$FFFF,
+    // 8KB of CHR (usually CHR-RAM)
+    // https://www.nesdev.org/wiki/UxROM
+    constructor(cartridge) {
+        super(cartridge);
+        this.busConflicts = cartridge.submapper === 2;
+        this.mapPrg(0x4000, 0x4000, -1);
+    }
+
+    writeRegister(address, value) {
+        this.mapPrg(0x4000, 0x0000, value);
+    }
+}
+
+class CnromMapper extends Mapper {
+    // Mapper 3 (CNROM): fixed 16KB or 32KB of PRG-ROM and a switchable 8KB CHR-ROM bank
+    // https://www.nesdev.org/wiki/CNROM
+    constructor(cartridge) {
+        super(cartridge);
+        this.busConflicts = cartridge.submapper === 2;
+    }
+
+    writeRegister(address, value) {
+        this.mapChr(0x2000, 0x0000, value);
+    }
+}
+
+class AxromMapper extends Mapper {
+    // Mapper 7 (AxROM): switchable 32KB PRG-ROM bank (bits 0-2) and single-screen mirroring selected by bit 4,
+    // 8KB of CHR-RAM
+    // https://www.nesdev.org/wiki/AxROM
+    constructor(cartridge) {
+        super(cartridge);
+        this.busConflicts = cartridge.submapper === 2;
+        this.setMirroring(MIRRORING.SINGLE_SCREEN_A);
+    }
+
+    writeRegister(address, value) {
+        this.mapPrg(0x8000, 0x0000, value & 0x07);
+        this.setMirroring((value & 0x10) ? MIRRORING.SINGLE_SCREEN_B : MIRRORING.SINGLE_SCREEN_A);
+    }
+}
+
+class Mmc1Mapper extends Mapper {
+    // Mapper 1 (MMC1): registers loaded serially through a 5-bit shift register, 16KB/32KB PRG-ROM banks, 4KB/8KB CHR
+    // banks, mirroring control and 8KB of PRG-RAM at $6000-$7FFF
+    // https://www.nesdev.org/wiki/MMC1
+    constructor(cartridge) {
+        super(cartridge);
+        this.shiftRegister = 0; // Bits received through the serial port (bit 0 of each write, LSB first)
+        this.shiftCount = 0; // Number of bits received since the last register load
+        this.control = 0x0C; // Power on in PRG mode 3 (last bank fixed at $C000) so the reset vector is found
+        this.chrBank0 = 0;
+        this.chrBank1 = 0;
+        this.prgBank = 0;
+        this.lastWriteCycle = null; // CPU cycle of the last write to $8000-$FFFF
+        this.updateBanks();
+    }
+
+    cpuRead(address) {
+        if (address < 0x8000 && (this.prgBank & 0x10)) {
+            return null; // PRG-RAM disabled by bit 4 of the PRG bank register (open bus)
+        }
+        return super.cpuRead(address);
+    }
+
+    cpuWrite(address, value, cycle) {
+        if (address < 0x8000 && (this.prgBank & 0x10)) {
+            return; // PRG-RAM disabled by bit 4 of the PRG bank register
+        }
+        super.cpuWrite(address, value, cycle);
+    }
+
+    writeRegister(address, value, cycle) {
+        // The MMC1 ignores a write in the cycle after another write, so only the first of the two writes that
+        // read-modify-write instructions (INC, ASL...) do on consecutive cycles reaches the shift register
+        const consecutiveWrite = this.lastWriteCycle !== null && cycle === this.lastWriteCycle + 1;
+        this.lastWriteCycle = cycle;
+        if (consecutiveWrite) {
+            return;
+        }
+
+        if (value & 0x80) {
+            // Writing a value with bit 7 set clears the shift register and sets PRG mode 3
+            this.shiftRegister = 0;
+            this.shiftCount = 0;
+            this.control |= 0x0C;
+            this.updateBanks();
+            return;
+        }
+
+        this.shiftRegister |= (value & 0x01) << this.shiftCount;
+        this.shiftCount++;
+        if (this.shiftCount === 5) {
+            // The fifth write copies the shift register to the register selected by bits 13-14 of its address
+            switch (address & 0x6000) {
+            case 0x0000:
+                this.control = this.shiftRegister; // $8000-$9FFF: Control
+                break;
+            case 0x2000:
+                this.chrBank0 = this.shiftRegister; // $A000-$BFFF: CHR bank 0
+                break;
+            case 0x4000:
+                this.chrBank1 = this.shiftRegister; // $C000-$DFFF: CHR bank 1
+                break;
+            default:
+                this.prgBank = this.shiftRegister; // $E000-$FFFF: PRG bank
+            }
+            this.shiftRegister = 0;
+            this.shiftCount = 0;
+            this.updateBanks();
+        }
+    }
+
+    updateBanks() {
+        // Apply the values of the control, CHR and PRG registers to the bank maps and mirroring
+        // Control bits 0-1: mirroring (single-screen lower, single-screen upper, vertical, horizontal)
+        const mirroringModes = [MIRRORING.SINGLE_SCREEN_A, MIRRORING.SINGLE_SCREEN_B, MIRRORING.VERTICAL,
+            MIRRORING.HORIZONTAL];
+        this.setMirroring(mirroringModes[this.control & 0x03]);
+
+        // 512KB boards (SUROM) use bit 4 of the CHR bank 0 register to select the 256KB half of PRG-ROM
+        const outerBank = (this.prgRom.length > 0x40000) ? (this.chrBank0 & 0x10) : 0;
+        const prgBank = outerBank | (this.prgBank & 0x0F);
+        // Control bits 2-3: PRG-ROM bank mode
+        switch ((this.control >> 2) & 0x03) {
+        case 0:
+        case 1:
+            this.mapPrg(0x8000, 0x0000, prgBank >> 1); // Switch 32KB at $8000 ignoring the low bit of the bank
+            break;
+        case 2:
+            this.mapPrg(0x4000, 0x0000, outerBank); // Fix first bank at $8000 and switch 16KB at $C000
+            this.mapPrg(0x4000, 0x4000, prgBank);
+            break;
+        default:
+            this.mapPrg(0x4000, 0x0000, prgBank); // Switch 16KB at $8000 and fix last bank at $C000
+            this.mapPrg(0x4000, 0x4000, outerBank | 0x0F);
+        }
+
+        // Control bit 4: CHR bank mode (one 8KB bank ignoring the low bit of CHR bank 0, or two 4KB banks)
+        if (this.control & 0x10) {
+            this.mapChr(0x1000, 0x0000, this.chrBank0);
+            this.mapChr(0x1000, 0x1000, this.chrBank1);
+        } else {
+            this.mapChr(0x2000, 0x0000, this.chrBank0 >> 1);
+        }
+    }
+}
+
+class Mmc3Mapper extends Mapper {
+    // Mapper 4 (MMC3): 8KB PRG-ROM banks, 2KB/1KB CHR banks, mirroring control, PRG-RAM protection and a scanline
+    // counter clocked by the rising edges of the PPU address line A12 that can generate IRQs
+    // https://www.nesdev.org/wiki/MMC3
+    constructor(cartridge) {
+        super(cartridge);
+        this.bankSelect = 0; // Register selected for the next bank data write and PRG/CHR bank modes
+        this.bankRegisters = [0, 2, 4, 5, 6, 7, 0, 1]; // R0-R7
+        this.prgRamEnabled = true;
+        this.prgRamWriteProtected = false;
+        this.irqLatch = 0; // Value reloaded in the counter when it reaches zero
+        this.irqCounter = 0;
+        this.irqReload = false; // Set by writes to $C001 to reload the counter in the next clock
+        this.irqEnabled = false;
+        this.lastA12 = 0; // Last state of the PPU A12 address line
+        this.a12LowCycle = 0; // PPU cycle in which A12 went low
+        this.updateBanks();
+    }
+
+    cpuRead(address) {
+        if (address < 0x8000 && !this.prgRamEnabled) {
+            return null; // PRG-RAM chip disabled through $A001 (open bus)
+        }
+        return super.cpuRead(address);
+    }
+
+    cpuWrite(address, value, cycle) {
+        if (address < 0x8000 && (!this.prgRamEnabled || this.prgRamWriteProtected)) {
+            return; // PRG-RAM chip disabled or write protected through $A001
+        }
+        super.cpuWrite(address, value, cycle);
+    }
+
+    writeRegister(address, value) {
+        // Each 8KB range has two registers selected by the lowest bit of the address (even/odd)
+        switch (address & 0xE001) {
+        case 0x8000:
+            this.bankSelect = value; // Bits 0-2: bank register, bit 6: PRG mode, bit 7: CHR A12 inversion
+            this.updateBanks();
+            break;
+        case 0x8001:
+            this.bankRegisters[this.bankSelect & 0x07] = value;
+            this.updateBanks();
+            break;
+        case 0xA000:
+            this.setMirroring((value & 0x01) ? MIRRORING.HORIZONTAL : MIRRORING.VERTICAL);
+            break;
+        case 0xA001:
+            this.prgRamEnabled = (value & 0x80) !== 0;
+            this.prgRamWriteProtected = (value & 0x40) !== 0;
+            break;
+        case 0xC000:
+            this.irqLatch = value;
+            break;
+        case 0xC001:
+            this.irqCounter = 0; // Cleared so the latch is reloaded in the next clock
+            this.irqReload = true;
+            break;
+        case 0xE000:
+            this.irqEnabled = false; // Disable IRQs and acknowledge the pending one
+            this.irqAsserted = false;
+            break;
+        default:
+            this.irqEnabled = true; // $E001
+        }
+    }
+
+    updateBanks() {
+        // Apply the bank registers to the PRG/CHR bank maps according to the modes in the bank select register
+        const registers = this.bankRegisters;
+        // PRG mode 0: R6 at $8000 and second to last bank at $C000, mode 1 swaps both. R7 is always at $A000 and the
+        // last bank at $E000 (R6 and R7 ignore the top two bits)
+        const swappableBank = registers[6] & 0x3F;
+        this.mapPrg(0x2000, (this.bankSelect & 0x40) ? 0x4000 : 0x0000, swappableBank);
+        this.mapPrg(0x2000, (this.bankSelect & 0x40) ? 0x0000 : 0x4000, -2);
+        this.mapPrg(0x2000, 0x2000, registers[7] & 0x3F);
+        this.mapPrg(0x2000, 0x6000, -1);
+
+        // CHR mode 0: two 2KB banks (R0, R1) at $0000 and four 1KB banks (R2-R5) at $1000, mode 1 inverts A12 so the
+        // 2KB banks are at $1000 and the 1KB banks at $0000 (the low bit of R0 and R1 is ignored)
+        const inversion = (this.bankSelect & 0x80) ? 0x1000 : 0x0000;
+        this.mapChr(0x0800, inversion ^ 0x0000, registers[0] >> 1);
+        this.mapChr(0x0800, inversion ^ 0x0800, registers[1] >> 1);
+        this.mapChr(0x0400, inversion ^ 0x1000, registers[2]);
+        this.mapChr(0x0400, inversion ^ 0x1400, registers[3]);
+        this.mapChr(0x0400, inversion ^ 0x1800, registers[4]);
+        this.mapChr(0x0400, inversion ^ 0x1C00, registers[5]);
+    }
+
+    onPpuAddress(address, ppuCycle) {
+        // The scanline counter is clocked by rising edges of A12 (bit 12 of the PPU address). The MMC3 filters the
+        // edges that happen shortly after A12 went low (during rendering A12 toggles at every sprite pattern fetch
+        // when sprites and background use different pattern tables), so only one clock happens per scanline
+        const a12 = (address >> 12) & 0x01;
+        if (a12 && !this.lastA12) {
+            if (ppuCycle - this.a12LowCycle >= A12_LOW_FILTER) {
+                this.clockScanlineCounter();
+            }
+        } else if (!a12 && this.lastA12) {
+            this.a12LowCycle = ppuCycle;
+        }
+        this.lastA12 = a12;
+    }
+
+    clockScanlineCounter() {
+        // Reload the counter when it is zero (or a reload was requested), otherwise decrement it. When the counter is
+        // zero after that and IRQs are enabled the IRQ line is asserted until it is acknowledged writing to $E000
+        if (this.irqCounter === 0 || this.irqReload) {
+            this.irqCounter = this.irqLatch;
+            this.irqReload = false;
+        } else {
+            this.irqCounter--;
+        }
+        if (this.irqCounter === 0 && this.irqEnabled) {
+            this.irqAsserted = true;
+        }
+    }
+}
+
+// Mapper classes indexed by the iNES mapper number
+const MAPPERS = {
+    0: NromMapper,
+    1: Mmc1Mapper,
+    2: UxromMapper,
+    3: CnromMapper,
+    4: Mmc3Mapper,
+    7: AxromMapper
+};
+
+export function createMapper(cartridge) {
+    // Instantiate the mapper of the cartridge selected by the mapper number in its header
+    const mapperClass = MAPPERS[cartridge.mapper];
+    if (!mapperClass) {
+        throw new Error(`Mapper ${cartridge.mapper} is not supported.`);
+    }
+    return new mapperClass(cartridge);
+}
+
+function mapBank(map, memorySize, windowSize, size, address, bank) {
+    // Fill the entries of a bank map (one per window of windowSize bytes) that cover size bytes starting at address
+    // with the offsets of the selected bank, mirroring the memory if it is smaller than the bank size
+    const bankCount = Math.max(Math.floor(memorySize / size), 1);
+    bank = ((bank % bankCount) + bankCount) % bankCount; // Wrap around and convert negative banks
+    for (let offset = 0; offset < size; offset += windowSize) {
+        map[(address + offset) / windowSize] = (bank * size + offset) % memorySize;
+    }
+}
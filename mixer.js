@@ -0,0 +1,197 @@
+// Mixer panel of the browser interface, for debugging the audio: an oscilloscope and the note or period of each APU
+// channel, mute and solo switches, and the recording of the mix or of a single channel to a WAV file. The samples of
+// each channel come from the "audio" events of the emulator (with the channel capture enabled), the oscilloscopes and
+// notes are redrawn with the game screen
+
+import { APU_CHANNELS } from './apu.js'; // Names of the APU channels
+import { encodeWav } from './wav.js'; // WAV file encoding of the recordings
+
+const SCOPE_SAMPLES = 512; // Samples shown by an oscilloscope (~11ms at 44.1kHz)
+const MIN_SCOPE_RANGE = 0.002; // Smallest range of the autoscale, so the noise of a silent channel is not magnified
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+class MixerPanel {
+    constructor(emulator, element) {
+        this.emulator = emulator;
+        this.channels = APU_CHANNELS.map((name) => {
+            const row = element.querySelector(`[data-channel="${name}"]`);
+            const scope = row.querySelector("canvas");
+            return {
+                name,
+                row,
+                mute: row.querySelector(".mixer-mute"),
+                solo: row.querySelector(".mixer-solo"),
+                note: row.querySelector(".mixer-note"),
+                scope: scope.getContext("2d"),
+                // Last samples of the channel, the oscilloscope looks for its trigger in the first half
+                history: new Float32Array(2 * SCOPE_SAMPLES),
+            };
+        });
+        this.recordSource = element.querySelector(".mixer-record-source");
+        this.recordButton = element.querySelector(".mixer-record");
+        this.saveButton = element.querySelector(".mixer-save");
+        this.recordStatus = element.querySelector(".mixer-record-status");
+        this.recording = null; // Recording in progress: {source (mix or a channel), sampleRate, chunks, length}
+
+        for (const channel of this.channels) {
+            channel.mute.addEventListener("change", () => this.updateMuting());
+            channel.solo.addEventListener("change", () => this.updateMuting());
+        }
+        this.recordButton.addEventListener("click", () => this.startRecording());
+        this.saveButton.addEventListener("click", () => this.saveRecording());
+        emulator.setChannelCapture(true);
+        emulator.on("audio", (samples, channelSamples) => this.receive(samples, channelSamples));
+    }
+
+    updateMuting() {
+        // Channels heard in the audio output: the soloed ones if any channel is soloed, otherwise the ones not muted
+        const soloed = this.channels.some((channel) => channel.solo.checked);
+        for (const channel of this.channels) {
+            const muted = soloed ? !channel.solo.checked : channel.mute.checked;
+            this.emulator.setChannelMuted(channel.name, muted);
+            channel.row.classList.toggle("silent", muted);
+        }
+    }
+
+    receive(samples, channelSamples) {
+        // "audio" event listener: keep the last samples of each channel and add the recorded ones to the recording
+        if (channelSamples !== null) {
+            for (const channel of this.channels) {
+                appendHistory(channel.history, channelSamples[channel.name]);
+            }
+        }
+        const recording = this.recording;
+        if (recording === null) {
+            return;
+        }
+        if (recording.sampleRate !== this.emulator.sampleRate) {
+            // The sample rate changed (when the audio output starts), the recording starts again at the new rate
+            recording.sampleRate = this.emulator.sampleRate;
+            recording.chunks = [];
+            recording.length = 0;
+        }
+        const chunk = (recording.source === "mix") ? samples : channelSamples?.[recording.source];
+        if (chunk) {
+            recording.chunks.push(chunk);
+            recording.length += chunk.length;
+        }
+        this.recordStatus.textContent = `Recording ${(recording.length / recording.sampleRate).toFixed(1)} s`;
+    }
+
+    startRecording() {
+        const source = this.recordSource.value;
+        this.recording = { source, sampleRate: this.emulator.sampleRate, chunks: [], length: 0 };
+        this.recordSource.disabled = true;
+        this.recordButton.disabled = true;
+        this.saveButton.disabled = false;
+        this.recordStatus.textContent = "Recording 0.0 s";
+    }
+
+    saveRecording() {
+        // Stop the recording and download it as a WAV file
+        const { source, sampleRate, chunks, length } = this.recording;
+        this.recording = null;
+        this.recordSource.disabled = false;
+        this.recordButton.disabled = false;
+        this.saveButton.disabled = true;
+        this.recordStatus.textContent = "";
+        const samples = new Float32Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        }
+        const url = URL.createObjectURL(new Blob([encodeWav(samples, sampleRate)], { type: "audio/wav" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `nes-${source}.wav`;
+        link.click();
+        // The download starts asynchronously, revoking the URL right away can cancel it
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    draw() {
+        // Redraw the oscilloscopes and the notes of the channels (called with each frame drawn)
+        const states = this.emulator.apu.channelStates();
+        this.channels.forEach((channel, i) => {
+            drawScope(channel.scope, channel.history);
+            channel.note.textContent = describeChannel(states[i]);
+        });
+    }
+}
+
+function appendHistory(history, samples) {
+    // Shift the samples into the end of the history
+    if (samples.length >= history.length) {
+        history.set(samples.subarray(samples.length - history.length));
+    } else {
+        history.copyWithin(0, samples.length);
+        history.set(samples, history.length - samples.length);
+    }
+}
+
+function drawScope(context, history) {
+    // Oscilloscope of the last samples, triggered on a rising edge through the middle of the waveform and scaled to
+    // the height of the canvas
+    const { width, height } = context.canvas;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const sample of history) {
+        min = Math.min(min, sample);
+        max = Math.max(max, sample);
+    }
+    const middle = (min + max) / 2;
+    const range = Math.max(max - min, MIN_SCOPE_RANGE);
+    let start = SCOPE_SAMPLES; // Without a trigger, the latest samples are shown
+    for (let i = 1; i <= SCOPE_SAMPLES; i++) {
+        if (history[i - 1] < middle && history[i] >= middle) {
+            start = i;
+            break;
+        }
+    }
+
+    context.clearRect(0, 0, width, height);
+    context.strokeStyle = "#7fff7f";
+    context.beginPath();
+    for (let i = 0; i < SCOPE_SAMPLES; i++) {
+        const x = i * width / SCOPE_SAMPLES;
+        const y = height / 2 - (history[start + i] - middle) / range * (height - 2);
+        if (i === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    }
+    context.stroke();
+}
+
+function describeChannel(state) {
+    // Note and period of a channel, e.g. "A4 +2c 440.4 Hz, period $0FD"
+    const { channel, active, period, frequency } = state;
+    switch (channel) {
+    case "noise":
+        return `period ${period}${state.shortMode ? " (short mode)" : ""}, volume ${state.volume}`;
+    case "dmc":
+        return `rate ${period} (${frequency.toFixed(0)} Hz), level ${state.volume}` + (active ? "" : " (idle)");
+    default: {
+        const hexPeriod = `$${period.toString(16).toUpperCase().padStart(3, "0")}`;
+        return active ? `${formatNote(frequency)} ${frequency.toFixed(1)} Hz, period ${hexPeriod}` :
+            `- period ${hexPeriod}`;
+    }
+    }
+}
+
+function formatNote(frequency) {
+    // Nearest note of the equal temperament (A4 = 440 Hz) and the deviation in cents, e.g. "A4 +2c"
+    const midi = 69 + 12 * Math.log2(frequency / 440);
+    const note = Math.round(midi);
+    const cents = Math.round(100 * (midi - note));
+    const name = `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+    return `${name} ${(cents < 0) ? "" : "+"}${cents}c`;
+}
+
+export function createMixerPanel(emulator, element) {
+    // Create the mixer panel of an emulator in the markup of the element (see the mixer of index.html), which enables
+    // the channel capture of the emulator
+    return new MixerPanel(emulator, element);
+}
@@ -0,0 +1,678 @@
+// Picture Processing Unit (2C02)
+// https://www.nesdev.org/wiki/PPU
+
+import { MIRRORING } from './cartridge.js';
+
+// NES system palette: RGB value of the 64 colors the PPU can output (2C02 palette from
+// https://www.nesdev.org/wiki/PPU_palettes)
+const SYSTEM_PALETTE = [
+    0x666666, 0x002A88, 0x1412A7, 0x3B00A4, 0x5C007E, 0x6E0040, 0x6C0600, 0x561D00,
+    0x333500, 0x0B4800, 0x005200, 0x004F08, 0x00404D, 0x000000, 0x000000, 0x000000,
+    0xADADAD, 0x155FD9, 0x4240FF, 0x7527FE, 0xA01ACC, 0xB71E7B, 0xB53120, 0x994E00,
+    0x6B6D00, 0x388700, 0x0C9300, 0x008F32, 0x007C8D, 0x000000, 0x000000, 0x000000,
+    0xFFFEFF, 0x64B0FF, 0x9290FF, 0xC676FF, 0xF36AFF, 0xFE6ECC, 0xFE8170, 0xEA9E22,
+    0xBCBE00, 0x88D800, 0x5CE430, 0x45E082, 0x48CDDE, 0x4F4F4F, 0x000000, 0x000000,
+    0xFFFEFF, 0xC0DFFF, 0xD3D2FF, 0xE8C8FF, 0xFBC2FF, 0xFEC4EA, 0xFECCC5, 0xF7D8A5,
+    0xE4E594, 0xCFEF96, 0xBDF4AB, 0xB3F3CC, 0xB5EBF2, 0xB8B8B8, 0x000000, 0x000000
+];
+
+// Physical nametable (1KB at $2000 + 0x400 * n in the PPU memory) used by each of the 4 logical nametables at $2000,
+// $2400, $2800 and $2C00 for every mirroring mode. The console only has 2KB of nametable RAM, four-screen boards add
+// the other 2KB in the cartridge
+// https://www.nesdev.org/wiki/Mirroring#Nametable_Mirroring
+const NAMETABLE_LAYOUTS = {
+    [MIRRORING.HORIZONTAL]: [0, 0, 1, 1],
+    [MIRRORING.VERTICAL]: [0, 1, 0, 1],
+    [MIRRORING.SINGLE_SCREEN_A]: [0, 0, 0, 0],
+    [MIRRORING.SINGLE_SCREEN_B]: [1, 1, 1, 1],
+    [MIRRORING.FOUR_SCREEN]: [0, 1, 2, 3],
+};
+
+// Factor applied to the color components that are not emphasized by PPUMASK bits 5-7 (approximation of the 2C02)
+// https://www.nesdev.org/wiki/NTSC_video#Color_Tint_Bits
+const EMPHASIS_ATTENUATION = 0.816;
+
+// Time after which the bits of the PPU open bus latch decay to 0 (see ioLatch in the Ppu constructor)
+const LATCH_DECAY_CYCLES = 341 * 262 * 36; // About 600ms in PPU cycles
+
+class Ppu {
+    constructor() {
+        this.memory = new Uint8Array(0x4000); // 16KB of PPU memory in a Uint8Array (bytes)
+        // Object Attribute Memory: 64 sprites of 4 bytes (Y position, tile number, attributes, X position)
+        // https://www.nesdev.org/wiki/PPU_OAM
+        this.oam = new Uint8Array(0x100);
+
+        // CPU visible registers of the PPU, mapped at $2000-$2007 and mirrored every 8 bytes up to $3FFF
+        // https://www.nesdev.org/wiki/PPU_registers
+        this.registers = {
+            ctrl: 0, // $2000 PPUCTRL
+            mask: 0, // $2001 PPUMASK
+            // $2002 PPUSTATUS, bit 7 to bit 5 are: V (vertical blank started), S (sprite 0 hit), O (sprite overflow)
+            status: 0,
+            oamAddress: 0, // $2003 OAMADDR
+            // Internal registers shared by scrolling and VRAM accesses (https://www.nesdev.org/wiki/PPU_scrolling)
+            // v and t are 15 bit addresses with the layout yyy NN YYYYY XXXXX (fine Y, nametable, coarse Y, coarse X)
+            vramAddress: 0, // v: current VRAM address
+            tempAddress: 0, // t: temporary VRAM address (address of the top left tile of the screen)
+            fineX: 0, // x: fine X scroll (3 bits)
+            writeToggle: 0, // w: first/second write toggle shared by $2005 and $2006
+            readBuffer: 0, // Internal buffer of $2007 reads, which return the byte read by the previous access
+        };
+
+        // Timing of the PPU: each frame has 262 scanlines of 341 dots (PPU cycles)
+        // https://www.nesdev.org/wiki/PPU_rendering
+        this.state = {
+            scanline: 0, // 0-239 visible, 240 post-render, 241-260 vertical blank, 261 pre-render
+            dot: 0, // 0-340
+            oddFrame: false, // The pre-render scanline is one dot shorter in odd frames when rendering is enabled
+            totalCycles: 0, // Total cycles executed by the PPU
+            frameComplete: false, // Set when a frame has been rendered, cleared by the code that displays it
+            // NMI output: vertical blank flag and PPUCTRL bit 7 both set, the CPU detects its rising edge
+            nmiAsserted: false,
+        };
+
+        // PPU open bus: the data bus between the CPU and the PPU registers is a latch that keeps the last value written
+        // to or read from any register, returned by reads of write only registers and by the unused bits of the rest.
+        // Bits that are not refreshed decay to 0 after about 600ms
+        // https://www.nesdev.org/wiki/Open_bus_behavior#PPU_open_bus
+        this.ioLatch = {
+            value: 0,
+            refreshCycles: new Array(8).fill(0), // PPU cycle of the last refresh of each bit
+        };
+
+        // Frame being rendered, 256x240 pixels in RGBA format (4 bytes per pixel)
+        this.frameBuffer = new Uint8ClampedArray(256 * 240 * 4);
+
+        // Background rendering pipeline: the data of the next tile is fetched in 4 memory accesses of 2 dots each and
+        // loaded in the low byte of the 16 bit shift registers, which are shifted every dot to output a pixel
+        this.background = {
+            nextTileId: 0,
+            nextAttribute: 0,
+            nextPatternLow: 0,
+            nextPatternHigh: 0,
+            patternShiftLow: 0,
+            patternShiftHigh: 0,
+            attributeShiftLow: 0,
+            attributeShiftHigh: 0,
+        };
+
+        // Sprite rendering: the sprites found in the evaluation of a scanline are copied to secondary OAM and their
+        // pattern data is fetched at the end of the scanline to be output in the next one
+        this.sprites = {
+            secondaryOam: new Uint8Array(32), // Up to 8 sprites in range of the next scanline
+            evaluatedCount: 0, // Number of sprites in secondary OAM
+            evaluatedZero: false, // Sprite 0 is in secondary OAM
+            count: 0, // Number of sprites in the current scanline
+            zeroOnLine: false, // The first sprite in the current scanline is sprite 0 (for sprite 0 hit)
+            x: new Uint8Array(8),
+            attributes: new Uint8Array(8),
+            patternLow: new Uint8Array(8), // Bit planes of the row of each sprite (already flipped horizontally)
+            patternHigh: new Uint8Array(8),
+        };
+
+        // Mapper of the loaded cartridge, which provides the pattern tables and the nametable mirroring
+        this.mapper = null;
+    }
+
+    readRegister(address) {
+        // Read of a PPU register from the CPU, address is the register number (0-7) after removing the mirroring
+        const registers = this.registers;
+        switch (address) {
+        case 2: {
+            // Reading PPUSTATUS clears the vertical blank flag and the write toggle of $2005/$2006
+            // Bits 0-4 are open bus
+            this.refreshLatch(registers.status & 0xE0, 0xE0);
+            registers.status &= ~0x80;
+            registers.writeToggle = 0;
+            this.updateNmi();
+            return this.ioLatch.value;
+        }
+        case 4:
+            this.refreshLatch(this.peekRegister(address), 0xFF);
+            return this.ioLatch.value;
+        case 7: {
+            const vramAddress = registers.vramAddress & 0x3FFF;
+            if (vramAddress >= 0x3F00) {
+                // Palette reads are not buffered, bits 6-7 are open bus. The buffer is filled with the nametable byte
+                // "under" the palette
+                this.refreshLatch(this.readPalette(vramAddress), 0x3F);
+                registers.readBuffer = this.readMemory(vramAddress - 0x1000);
+            } else {
+                // Reads return the content of the buffer, which is then filled with the byte at v
+                this.refreshLatch(registers.readBuffer, 0xFF);
+                registers.readBuffer = this.readMemory(vramAddress);
+            }
+            this.incrementVramAddress();
+            return this.ioLatch.value;
+        }
+        default:
+            return this.decayLatch(); // Write only registers return the open bus value
+        }
+    }
+
+    peekRegister(address) {
+        // Read of a PPU register without the side effects of readRegister (for the debugger displays)
+        const state = this.state;
+        const registers = this.registers;
+        switch (address) {
+        case 2:
+            return (registers.status & 0xE0) | (this.ioLatch.value & 0x1F);
+        case 4:
+            // OAMDATA reads do not increment OAMADDR. While secondary OAM is cleared (dots 1-64 of visible scanlines)
+            // the reads return 0xFF
+            if (state.scanline < 240 && state.dot >= 1 && state.dot <= 64 && this.renderingEnabled()) {
+                return 0xFF;
+            }
+            return this.oam[registers.oamAddress];
+        case 7:
+            return registers.readBuffer;
+        default:
+            return this.ioLatch.value;
+        }
+    }
+
+    writeRegister(address, value) {
+        // Write of a PPU register from the CPU, address is the register number (0-7) after removing the mirroring
+        const registers = this.registers;
+        this.refreshLatch(value, 0xFF); // Writes to any register (even read only PPUSTATUS) fill the latch
+        switch (address) {
+        case 0:
+            // Bit 7 enables NMI at the start of vertical blank (enabling it during vertical blank triggers one at once)
+            registers.ctrl = value;
+            this.updateNmi();
+            // Bits 0-1 select the base nametable, which are the nametable bits of t
+            registers.tempAddress = (registers.tempAddress & ~0x0C00) | ((value & 0x03) << 10);
+            break;
+        case 1:
+            registers.mask = value;
+            break;
+        case 3:
+            registers.oamAddress = value;
+            break;
+        case 4:
+            if ((this.state.scanline < 240 || this.state.scanline === 261) && this.renderingEnabled()) {
+                // Writes during rendering do not modify OAM but increment the high 6 bits of OAMADDR
+                registers.oamAddress = (registers.oamAddress + 4) & 0xFF;
+                break;
+            }
+            if ((registers.oamAddress & 0x03) === 2) {
+                value &= 0xE3; // Bits 2-4 of the attribute byte do not exist in OAM and are read back as 0
+            }
+            this.oam[registers.oamAddress] = value;
+            registers.oamAddress = (registers.oamAddress + 1) & 0xFF;
+            break;
+        case 5:
+            if (registers.writeToggle === 0) {
+                // First write: coarse X (bits 3-7) to t and fine X (bits 0-2) to x
+                registers.tempAddress = (registers.tempAddress & ~0x001F) | (value >> 3);
+                registers.fineX = value & 0x07;
+            } else {
+                // Second write: fine Y (bits 0-2) and coarse Y (bits 3-7) to t
+                const fineY = (value & 0x07) << 12;
+                registers.tempAddress = (registers.tempAddress & ~0x73E0) | fineY | ((value & 0xF8) << 2);
+            }
+            registers.writeToggle ^= 1;
+            break;
+        case 6:
+            if (registers.writeToggle === 0) {
+                // First write: high byte of the address (bits 8-13, bit 14 of t is cleared)
+                registers.tempAddress = (registers.tempAddress & 0x00FF) | ((value & 0x3F) << 8);
+            } else {
+                // Second write: low byte of the address, then t is copied to v
+                registers.tempAddress = (registers.tempAddress & 0xFF00) | value;
+                registers.vramAddress = registers.tempAddress;
+            }
+            registers.writeToggle ^= 1;
+            break;
+        case 7:
+            this.writeMemory(registers.vramAddress, value);
+            this.incrementVramAddress();
+            break;
+        }
+    }
+
+    reset() {
+        // RESET line of the PPU: clears PPUCTRL, PPUMASK, the scroll position, the write toggle and the read buffer
+        // https://www.nesdev.org/wiki/PPU_power_up_state
+        const registers = this.registers;
+        registers.ctrl = 0;
+        registers.mask = 0;
+        registers.tempAddress = 0;
+        registers.fineX = 0;
+        registers.writeToggle = 0;
+        registers.readBuffer = 0;
+        this.state.oddFrame = false;
+        this.updateNmi();
+    }
+
+    incrementVramAddress() {
+        // After each $2007 access v is incremented by 1 (next tile in the row) or 32 (next row) depending on PPUCTRL
+        // bit 2. While rendering, the access instead increments coarse X and Y at the same time, as rendering does
+        const registers = this.registers;
+        if ((this.state.scanline < 240 || this.state.scanline === 261) && this.renderingEnabled()) {
+            this.incrementCoarseX();
+            this.incrementY();
+            return;
+        }
+        registers.vramAddress = (registers.vramAddress + ((registers.ctrl & 0x04) ? 32 : 1)) & 0x7FFF;
+    }
+
+    updateNmi() {
+        this.state.nmiAsserted = (this.registers.status & this.registers.ctrl & 0x80) !== 0;
+    }
+
+    refreshLatch(value, bits) {
+        // Drive the bits of the open bus latch selected by the bits mask with value, refreshing their decay time
+        this.ioLatch.value = (this.decayLatch() & ~bits) | (value & bits);
+        for (let bit = 0; bit < 8; bit++) {
+            if (bits & (1 << bit)) {
+                this.ioLatch.refreshCycles[bit] = this.state.totalCycles;
+            }
+        }
+    }
+
+    decayLatch() {
+        // Clear the bits of the open bus latch that have not been refreshed in LATCH_DECAY_CYCLES and return its value
+        for (let bit = 0; bit < 8; bit++) {
+            if (this.state.totalCycles - this.ioLatch.refreshCycles[bit] > LATCH_DECAY_CYCLES) {
+                this.ioLatch.value &= ~(1 << bit);
+            }
+        }
+        return this.ioLatch.value;
+    }
+
+    readPalette(address) {
+        // Read a palette entry (6 bits), the greyscale mode of PPUMASK bit 0 also affects the value read
+        const value = this.memory[paletteAddress(address)] & 0x3F;
+        return (this.registers.mask & 0x01) ? (value & 0x30) : value;
+    }
+
+    readMemory(address) {
+        // Read a byte from PPU memory: pattern tables in the cartridge ($0000-$1FFF), nametables ($2000-$2FFF, mirrored
+        // up to $3EFF) and palettes ($3F00-$3F1F, mirrored up to $3FFF). The mapper can watch the addresses in the
+        // PPU bus
+        address &= 0x3FFF;
+        if (!this.mapper) {
+            return 0;
+        }
+        this.mapper.onPpuAddress(address, this.state.totalCycles);
+        if (address < 0x2000) {
+            return this.mapper.ppuRead(address);
+        }
+        if (address < 0x3F00) {
+            return this.memory[this.nametableAddress(address)];
+        }
+        return this.memory[paletteAddress(address)];
+    }
+
+    writeMemory(address, value) {
+        // Write a byte to PPU memory (pattern table writes only have effect if the cartridge has CHR-RAM)
+        address &= 0x3FFF;
+        if (!this.mapper) {
+            return;
+        }
+        this.mapper.onPpuAddress(address, this.state.totalCycles);
+        if (address < 0x2000) {
+            this.mapper.ppuWrite(address, value);
+        } else if (address < 0x3F00) {
+            this.memory[this.nametableAddress(address)] = value;
+        } else {
+            this.memory[paletteAddress(address)] = value;
+        }
+    }
+
+    nametableAddress(address) {
+        // Address in the PPU memory of a nametable address ($2000-$3EFF, $3000-$3EFF mirrors $2000-$2EFF) with the
+        // mirroring selected by the cartridge header or the mapper
+        const physicalNametable = NAMETABLE_LAYOUTS[this.mapper.mirroring][(address >> 10) & 0x03];
+        return 0x2000 | (physicalNametable << 10) | (address & 0x03FF);
+    }
+
+    renderingEnabled() {
+        return (this.registers.mask & 0x18) !== 0; // Background or sprites enabled
+    }
+
+    step() {
+        // Execute one PPU cycle (dot)
+        const state = this.state;
+        const registers = this.registers;
+        const scanline = state.scanline;
+        const dot = state.dot;
+        const rendering = this.renderingEnabled();
+        const preRenderLine = scanline === 261;
+
+        if (rendering && (scanline < 240 || preRenderLine)) {
+            // Background fetches: tiles 3-34 of the scanline in dots 1-256 and tiles 1-2 of the next one in dots
+            // 321-336. The shift registers shift before the pixel of the dot is output, and the tiles fetched in dots
+            // 321-336 reach the high byte of the shift registers at dot 337
+            if ((dot >= 2 && dot <= 257) || (dot >= 321 && dot <= 337)) {
+                this.shiftBackground();
+                switch ((dot - 1) & 0x07) {
+                case 0:
+                    this.loadBackgroundShifters();
+                    this.fetchNametableByte();
+                    break;
+                case 2:
+                    this.fetchAttributeByte();
+                    break;
+                case 4:
+                    this.background.nextPatternLow = this.readMemory(this.patternAddress());
+                    break;
+                case 6:
+                    this.background.nextPatternHigh = this.readMemory(this.patternAddress() + 8);
+                    break;
+                case 7:
+                    this.incrementCoarseX();
+                    break;
+                }
+            }
+            if (dot === 256) {
+                this.incrementY();
+            } else if (dot === 257) {
+                this.loadBackgroundShifters();
+                // Copy the horizontal position from t to v to start the next scanline at the left of the screen
+                registers.vramAddress = (registers.vramAddress & ~0x041F) | (registers.tempAddress & 0x041F);
+            } else if (dot === 338 || dot === 340) {
+                // Unused nametable fetches at the end of the scanline. They read the same entry as the fetch of dot
+                // 337, which gives the tile of the pattern fetches in dots 1-8 of the next scanline
+                this.fetchNametableByte();
+            }
+            // Sprites: evaluation of the sprites of the next scanline and fetch of their pattern data
+            if (dot === 256) {
+                this.evaluateSprites(scanline);
+            } else if (dot >= 257 && dot <= 320) {
+                registers.oamAddress = 0;
+                this.fetchSprites(dot - 257, scanline);
+            }
+            if (preRenderLine && dot >= 280 && dot <= 304) {
+                // Copy the vertical position from t to v to start the frame at the top of the screen
+                registers.vramAddress = (registers.vramAddress & ~0x7BE0) | (registers.tempAddress & 0x7BE0);
+            }
+        }
+
+        if (scanline < 240 && dot >= 1 && dot <= 256) {
+            this.renderPixel(dot - 1, scanline);
+        }
+
+        if (scanline === 241 && dot === 1) {
+            // Start of vertical blank, the frame is complete
+            registers.status |= 0x80;
+            state.frameComplete = true;
+            this.updateNmi();
+        } else if (preRenderLine && dot === 1) {
+            // End of vertical blank: clear vertical blank, sprite 0 hit and sprite overflow flags
+            registers.status &= ~0xE0;
+            this.updateNmi();
+        }
+
+        // Advance to the next dot, in odd frames the last dot of the pre-render scanline is skipped if rendering
+        state.totalCycles++;
+        state.dot++;
+        if (preRenderLine && state.dot === 340 && state.oddFrame && rendering) {
+            state.dot++;
+        }
+        if (state.dot > 340) {
+            state.dot = 0;
+            state.scanline++;
+            if (state.scanline > 261) {
+                state.scanline = 0;
+                state.oddFrame = !state.oddFrame;
+            }
+        }
+    }
+
+    renderPixel(x, y) {
+        // Output the pixel at (x, y) combining the bits of the background shift registers selected by fine X with the
+        // pixel of the first non transparent sprite at x
+        const sprites = this.sprites;
+        const background = this.background;
+        const registers = this.registers;
+        const mask = registers.mask;
+        let pixel = 0;
+        let palette = 0;
+        // Background enabled (bit 3) and not in the leftmost 8 pixels if they are hidden (bit 1)
+        if ((mask & 0x08) && (x >= 8 || (mask & 0x02))) {
+            const bit = 0x8000 >> registers.fineX;
+            pixel = ((background.patternShiftLow & bit) ? 1 : 0) | ((background.patternShiftHigh & bit) ? 2 : 0);
+            palette = ((background.attributeShiftLow & bit) ? 1 : 0) | ((background.attributeShiftHigh & bit) ? 2 : 0);
+        }
+
+        // Sprites enabled (bit 4) and not in the leftmost 8 pixels if they are hidden (bit 2)
+        if ((mask & 0x10) && (x >= 8 || (mask & 0x04))) {
+            // Sprites earlier in OAM have priority over the rest
+            for (let i = 0; i < sprites.count; i++) {
+                const column = x - sprites.x[i];
+                if (column < 0 || column > 7) {
+                    continue;
+                }
+                const bit = 7 - column;
+                const spritePixel = ((sprites.patternLow[i] >> bit) & 0x01) |
+                    (((sprites.patternHigh[i] >> bit) & 0x01) << 1);
+                if (spritePixel === 0) {
+                    continue; // Transparent pixel, the next sprite can be visible
+                }
+                // Sprite 0 hit: an opaque pixel of sprite 0 overlaps an opaque background pixel (except at x = 255)
+                if (i === 0 && sprites.zeroOnLine && pixel !== 0 && x !== 255) {
+                    registers.status |= 0x40;
+                }
+                // Attribute bit 5 puts the sprite behind the background, where it is only visible if the background
+                // pixel is transparent. Sprites use palettes 4-7 (bits 0-1 of the attributes)
+                if (pixel === 0 || !(sprites.attributes[i] & 0x20)) {
+                    pixel = spritePixel;
+                    palette = 4 + (sprites.attributes[i] & 0x03);
+                }
+                break;
+            }
+        }
+
+        // Color 0 of every palette is the universal background color at $3F00
+        const colorAddress = (pixel === 0) ? 0x3F00 : (0x3F00 + palette * 4 + pixel);
+        const color = SYSTEM_PALETTE[this.readPalette(colorAddress)];
+        // Color emphasis (PPUMASK bits 5-7 for red, green and blue) darkens the other two color components
+        const emphasis = mask >> 5;
+        const offset = (y * 256 + x) * 4;
+        this.frameBuffer[offset] = emphasize((color >> 16) & 0xFF, emphasis, 0x01);
+        this.frameBuffer[offset + 1] = emphasize((color >> 8) & 0xFF, emphasis, 0x02);
+        this.frameBuffer[offset + 2] = emphasize(color & 0xFF, emphasis, 0x04);
+        this.frameBuffer[offset + 3] = 0xFF;
+    }
+
+    evaluateSprites(scanline) {
+        // Find the first 8 sprites in range of the next scanline (the Y position in OAM is one less than the first
+        // scanline of the sprite) and copy them to secondary OAM. If there are more sprites in range the overflow flag
+        // is set, but the hardware has a bug in this search: after finding 8 sprites it increments the byte index m
+        // together with the sprite index n, so it checks tile numbers, attributes and X positions as if they were Y
+        // positions
+        // https://www.nesdev.org/wiki/PPU_sprite_evaluation
+        const sprites = this.sprites;
+        const height = (this.registers.ctrl & 0x20) ? 16 : 8; // 8x8 or 8x16 sprites (PPUCTRL bit 5)
+        sprites.secondaryOam.fill(0xFF);
+        sprites.evaluatedCount = 0;
+        sprites.evaluatedZero = false;
+        if (scanline === 261) {
+            return; // The pre-render scanline does not evaluate sprites, so there are no sprites in the first scanline
+        }
+
+        let n = 0;
+        for (; n < 64 && sprites.evaluatedCount < 8; n++) {
+            const row = scanline - this.oam[n * 4];
+            if (row >= 0 && row < height) {
+                sprites.secondaryOam.set(this.oam.subarray(n * 4, n * 4 + 4), sprites.evaluatedCount * 4);
+                sprites.evaluatedCount++;
+                if (n === 0) {
+                    sprites.evaluatedZero = true;
+                }
+            }
+        }
+
+        let m = 0;
+        while (n < 64) {
+            const row = scanline - this.oam[n * 4 + m];
+            if (row >= 0 && row < height) {
+                this.registers.status |= 0x20; // Sprite overflow
+                break;
+            }
+            n++;
+            m = (m + 1) & 0x03; // Hardware bug: m should stay at 0
+        }
+    }
+
+    fetchSprites(cycle, scanline) {
+        // Sprite fetches in dots 257-320: 8 dots per sprite in secondary OAM, with two unused nametable fetches
+        // followed by the two bit planes of the sprite row in the next scanline. Empty slots fetch the pattern of tile
+        // 0xFF
+        const sprites = this.sprites;
+        const i = cycle >> 3;
+        const base = i * 4;
+        switch (cycle & 0x07) {
+        case 0:
+            if (i === 0) {
+                // The current scanline has been rendered, the sprites fetched now are displayed in the next one
+                sprites.count = sprites.evaluatedCount;
+                sprites.zeroOnLine = sprites.evaluatedZero;
+            }
+            this.readMemory(0x2000 | (this.registers.vramAddress & 0x0FFF));
+            break;
+        case 2:
+            this.readMemory(0x2000 | (this.registers.vramAddress & 0x0FFF));
+            sprites.attributes[i] = sprites.secondaryOam[base + 2];
+            sprites.x[i] = sprites.secondaryOam[base + 3];
+            break;
+        case 4:
+            sprites.patternLow[i] = this.fetchSpritePattern(i, scanline, 0);
+            break;
+        case 6:
+            sprites.patternHigh[i] = this.fetchSpritePattern(i, scanline, 8);
+            break;
+        }
+    }
+
+    fetchSpritePattern(i, scanline, bitPlane) {
+        // Fetch one bit plane (offset 0 or 8 in the tile) of the row of sprite i of secondary OAM in the next scanline
+        const sprites = this.sprites;
+        const base = i * 4;
+        const tile = sprites.secondaryOam[base + 1];
+        const attributes = sprites.secondaryOam[base + 2];
+        const tall = (this.registers.ctrl & 0x20) !== 0;
+        let row = (scanline - sprites.secondaryOam[base]) & (tall ? 0x0F : 0x07);
+        if (attributes & 0x80) {
+            row = (tall ? 15 : 7) - row; // Vertical flip
+        }
+
+        let address;
+        if (tall) {
+            // 8x16 sprites: bit 0 of the tile number selects the pattern table and the top half uses the even tile
+            address = ((tile & 0x01) ? 0x1000 : 0x0000) + (tile & 0xFE) * 16 + ((row & 0x08) ? 16 : 0) + (row & 0x07);
+        } else {
+            // 8x8 sprites: pattern table selected by PPUCTRL bit 3
+            address = ((this.registers.ctrl & 0x08) ? 0x1000 : 0x0000) + tile * 16 + row;
+        }
+        let pattern = this.readMemory(address + bitPlane);
+
+        if (i >= sprites.evaluatedCount) {
+            return 0; // Empty slot, the fetched pattern is discarded
+        }
+        if (attributes & 0x40) {
+            // Horizontal flip: reverse the bits of the pattern
+            pattern = ((pattern & 0xF0) >> 4) | ((pattern & 0x0F) << 4);
+            pattern = ((pattern & 0xCC) >> 2) | ((pattern & 0x33) << 2);
+            pattern = ((pattern & 0xAA) >> 1) | ((pattern & 0x55) << 1);
+        }
+        return pattern;
+    }
+
+    shiftBackground() {
+        const background = this.background;
+        background.patternShiftLow = (background.patternShiftLow << 1) & 0xFFFF;
+        background.patternShiftHigh = (background.patternShiftHigh << 1) & 0xFFFF;
+        background.attributeShiftLow = (background.attributeShiftLow << 1) & 0xFFFF;
+        background.attributeShiftHigh = (background.attributeShiftHigh << 1) & 0xFFFF;
+    }
+
+    loadBackgroundShifters() {
+        // Load the fetched tile in the low byte of the shift registers, the 2 bit palette number is expanded to 8 bits
+        const background = this.background;
+        background.patternShiftLow = (background.patternShiftLow & 0xFF00) | background.nextPatternLow;
+        background.patternShiftHigh = (background.patternShiftHigh & 0xFF00) | background.nextPatternHigh;
+        background.attributeShiftLow = (background.attributeShiftLow & 0xFF00) |
+            ((background.nextAttribute & 0x01) ? 0xFF : 0x00);
+        background.attributeShiftHigh = (background.attributeShiftHigh & 0xFF00) |
+            ((background.nextAttribute & 0x02) ? 0xFF : 0x00);
+    }
+
+    fetchNametableByte() {
+        // Tile number from the nametable entry pointed by v (ignoring fine Y)
+        this.background.nextTileId = this.readMemory(0x2000 | (this.registers.vramAddress & 0x0FFF));
+    }
+
+    fetchAttributeByte() {
+        // Each attribute byte holds the palettes of 4 areas of 2x2 tiles, the attribute table is at the end of the
+        // nametable (offset 0x3C0) and has one byte for each 4x4 tile area
+        const v = this.registers.vramAddress;
+        const attribute = this.readMemory(0x23C0 | (v & 0x0C00) | ((v >> 4) & 0x38) | ((v >> 2) & 0x07));
+        // Bit 1 of coarse X and coarse Y select the 2 bits of the area that contains the tile
+        const shift = ((v >> 4) & 0x04) | (v & 0x02);
+        this.background.nextAttribute = (attribute >> shift) & 0x03;
+    }
+
+    patternAddress() {
+        // Address of the low bit plane of the current row (fine Y) of the fetched tile, in the pattern table selected
+        // by bit 4 of PPUCTRL (each tile is 16 bytes, the high bit plane is 8 bytes after the low one)
+        const patternTable = (this.registers.ctrl & 0x10) ? 0x1000 : 0x0000;
+        return patternTable + this.background.nextTileId * 16 + ((this.registers.vramAddress >> 12) & 0x07);
+    }
+
+    incrementCoarseX() {
+        // Move v to the next tile, switching to the horizontally adjacent nametable after the 32nd tile
+        const registers = this.registers;
+        if ((registers.vramAddress & 0x001F) === 31) {
+            registers.vramAddress &= ~0x001F;
+            registers.vramAddress ^= 0x0400;
+        } else {
+            registers.vramAddress++;
+        }
+    }
+
+    incrementY() {
+        // Move v to the next row of pixels: increment fine Y and, when it overflows, coarse Y switching to the
+        // vertically adjacent nametable after row 29 (rows 30 and 31 are the attribute table, if v points there it
+        // wraps to 0)
+        let v = this.registers.vramAddress;
+        if ((v & 0x7000) !== 0x7000) {
+            v += 0x1000;
+        } else {
+            v &= ~0x7000;
+            let coarseY = (v & 0x03E0) >> 5;
+            if (coarseY === 29) {
+                coarseY = 0;
+                v ^= 0x0800;
+            } else if (coarseY === 31) {
+                coarseY = 0;
+            } else {
+                coarseY++;
+            }
+            v = (v & ~0x03E0) | (coarseY << 5);
+        }
+        this.registers.vramAddress = v;
+    }
+}
+
+export function createPpu() {
+    // Create a PPU in its power on state, the mapper must be set before it runs
+    return new Ppu();
+}
+
+function paletteAddress(address) {
+    // Address in the PPU memory of a palette address ($3F00-$3F1F mirrored up to $3FFF). Entry 0 of the sprite palettes
+    // ($3F10, $3F14, $3F18 and $3F1C) is shared with the same entry of the background palettes
+    let index = address & 0x1F;
+    if ((index & 0x13) === 0x10) {
+        index &= 0x0F;
+    }
+    return 0x3F00 | index;
+}
+
+function emphasize(component, emphasis, componentBit) {
+    // Attenuate a color component if any emphasis bit other than the one of the component is set
+    return (emphasis & ~componentBit) ? component * EMPHASIS_ATTENUATION : component;
+}
@@ -0,0 +1,155 @@
+// Parsing of plain 6502 program files (without an iNES header) into memory segments that are loaded into the 64KB of
+// RAM of a program bus (see Emulator.loadProgram)
+// File format references:
+// https://en.wikipedia.org/wiki/Intel_HEX
+// https://en.wikipedia.org/wiki/SREC_(file_format)
+
+// Formats of the program files
+export const PROGRAM_FORMATS = {
+    RAW: "raw", // Raw binary loaded at a chosen address
+    INTEL_HEX: "intel-hex", // Intel HEX records (ASCII lines starting with ":")
+    S_RECORD: "s-record", // Motorola S-records (ASCII lines starting with "S")
+};
+
+export function detectFormat(data) {
+    // Guess the format of a program file from its first character: text files with records start with ":" (Intel
+    // HEX) or "S" followed by the record type (S-record), anything else is a raw binary
+    const text = String.fromCharCode(...data.subarray(0, 2));
+    if (text[0] === ":") {
+        return PROGRAM_FORMATS.INTEL_HEX;
+    }
+    if (/^S[0-9]$/.test(text)) {
+        return PROGRAM_FORMATS.S_RECORD;
+    }
+    return PROGRAM_FORMATS.RAW;
+}
+
+export function parseProgram(data, format, loadAddress = 0x0000) {
+    // Decode a program file (bytes in a Uint8Array) into {format, segments, entryPoint}: segments are the blocks of
+    // bytes to store in memory ({address, bytes}) and entryPoint the start address given by the file (or null).
+    // loadAddress is only used by raw binaries. Malformed files throw an Error with a message that can be shown to
+    // the user
+    switch (format) {
+    case PROGRAM_FORMATS.RAW:
+        if (data.length === 0 || loadAddress + data.length > 0x10000) {
+            throw new Error(`A ${data.length} byte binary does not fit in memory at $${hex(loadAddress, 4)}.`);
+        }
+        return { format, segments: [{ address: loadAddress, bytes: data }], entryPoint: null };
+    case PROGRAM_FORMATS.INTEL_HEX:
+        return { format, ...parseIntelHex(data) };
+    case PROGRAM_FORMATS.S_RECORD:
+        return { format, ...parseSRecords(data) };
+    }
+    throw new Error(`Unknown program format: ${format}`);
+}
+
+function parseIntelHex(data) {
+    // Records are ":" + byte count + 16 bit address + record type + data + checksum (two's complement of the sum of
+    // the other bytes), in hexadecimal. Type 00 is data, 01 the end of file, 02 and 04 set the upper bits of the
+    // addresses (segment and linear) and 03 and 05 give the start address
+    const segments = [];
+    let entryPoint = null;
+    let baseAddress = 0;
+    for (const [lineNumber, line] of textLines(data)) {
+        if (line[0] !== ":") {
+            throw new Error(`Line ${lineNumber} is not an Intel HEX record.`);
+        }
+        const bytes = recordBytes(line.slice(1), lineNumber);
+        if (bytes.length < 5 || bytes.length !== bytes[0] + 5) {
+            throw new Error(`Line ${lineNumber} has the wrong length for its byte count.`);
+        }
+        const type = bytes[3];
+        const payload = bytes.slice(4, -1);
+        // The address records have a fixed size: 2 bytes for 02 and 04, 4 bytes for 03 and 05
+        if ((type >= 0x02 && type <= 0x05) && payload.length !== ((type & 0x01) ? 4 : 2)) {
+            throw new Error(`Line ${lineNumber} has the wrong length for its byte count.`);
+        }
+        if (type === 0x00) {
+            segments.push(segment(baseAddress + ((bytes[1] << 8) | bytes[2]), payload, lineNumber));
+        } else if (type === 0x01) {
+            break;
+        } else if (type === 0x02) {
+            baseAddress = ((payload[0] << 8) | payload[1]) << 4;
+        } else if (type === 0x04) {
+            baseAddress = ((payload[0] << 8) | payload[1]) << 16;
+        } else if (type === 0x03) {
+            // CS:IP of the 8086, the address is CS * 16 + IP
+            entryPoint = ((((payload[0] << 8) | payload[1]) << 4) + ((payload[2] << 8) | payload[3])) & 0xFFFF;
+        } else if (type === 0x05) {
+            entryPoint = (payload[2] << 8) | payload[3]; // 32 bit EIP, only the low 16 bits are used
+        } else {
+            throw new Error(`Line ${lineNumber} has the unknown record type ${hex(type, 2)}.`);
+        }
+    }
+    return { segments, entryPoint };
+}
+
+function parseSRecords(data) {
+    // Records are "S" + type + byte count + address + data + checksum (one's complement of the sum of the other bytes)
+    // in hexadecimal, the count includes the address, data and checksum. S1, S2 and S3 are data with 16, 24 and 32 bit
+    // addresses, S9, S8 and S7 the start address and S0 (header) and S5/S6 (record count) are ignored
+    const ADDRESS_SIZES = { 0: 2, 1: 2, 2: 3, 3: 4, 5: 2, 6: 3, 7: 4, 8: 3, 9: 2 };
+    const segments = [];
+    let entryPoint = null;
+    for (const [lineNumber, line] of textLines(data)) {
+        const type = Number(line[1]);
+        if (line[0] !== "S" || ADDRESS_SIZES[type] === undefined) {
+            throw new Error(`Line ${lineNumber} is not an S-record.`);
+        }
+        const bytes = recordBytes(line.slice(2), lineNumber, 0xFF);
+        const addressSize = ADDRESS_SIZES[type];
+        if (bytes.length !== bytes[0] + 1 || bytes[0] < addressSize + 1) {
+            throw new Error(`Line ${lineNumber} has the wrong length for its byte count.`);
+        }
+        let address = 0;
+        for (let i = 1; i <= addressSize; i++) {
+            address = (address * 0x100) + bytes[i];
+        }
+        if (type >= 1 && type <= 3) {
+            segments.push(segment(address, bytes.slice(addressSize + 1, -1), lineNumber));
+        } else if (type >= 7) {
+            entryPoint = address & 0xFFFF;
+        }
+    }
+    return { segments, entryPoint };
+}
+
+function* textLines(data) {
+    // Non-empty lines of a text file with their line numbers (starting at 1)
+    const lines = new TextDecoder().decode(data).split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line !== "") {
+            yield [i + 1, line];
+        }
+    }
+}
+
+function recordBytes(digits, lineNumber, checksumTotal = 0x00) {
+    // Bytes of the hexadecimal digits of a record, the sum of all of them (including the checksum in the last byte)
+    // must be checksumTotal modulo 256
+    if (!/^([0-9A-Fa-f]{2})+$/.test(digits)) {
+        throw new Error(`Line ${lineNumber} contains invalid hexadecimal digits.`);
+    }
+    const bytes = new Uint8Array(digits.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(digits.slice(2 * i, 2 * i + 2), 16);
+    }
+    const sum = bytes.reduce((total, byte) => total + byte, 0);
+    if ((sum & 0xFF) !== checksumTotal) {
+        throw new Error(`Line ${lineNumber} has a wrong checksum.`);
+    }
+    return bytes;
+}
+
+function segment(address, bytes, lineNumber) {
+    // Memory segment of a data record, which must be inside the 64KB address space of the CPU
+    if (address + bytes.length > 0x10000) {
+        throw new Error(`Line ${lineNumber} stores data at $${hex(address, 4)}, outside of memory.`);
+    }
+    return { address, bytes };
+}
+
+function hex(value, digits) {
+    return value.toString(16).toUpperCase().padStart(digits, "0");
+}
@@ -0,0 +1,100 @@
+// Frame scheduler of the browser interface: runs the emulator at the speed of an NTSC console in an animation frame
+// loop. The number of frames to emulate is taken from a clock (wall-clock time, or the time of the audio output so the
+// emulation does not drift from it), each frame is one frame of the PPU (29780.5 CPU cycles on average) and when the
+// host cannot keep up, the frames emulated in the same animation frame are not drawn (frame skip)
+// https://www.nesdev.org/wiki/Cycle_reference_chart
+
+import { CPU_FREQUENCY } from './apu.js'; // NTSC CPU clock frequency
+
+// NTSC timing: a frame lasts 341 * 262 - 0.5 PPU dots
+export const CYCLES_PER_FRAME = 29780.5; // CPU cycles per frame
+export const FRAME_RATE = CPU_FREQUENCY / CYCLES_PER_FRAME; // Frames per second (~60.0988 Hz)
+
+// Frames emulated in one animation frame at most, a host that is further behind (or a page that was hidden) drops the
+// rest of the time instead of freezing to catch up
+const MAX_FRAMES_PER_UPDATE = 4;
+
+class Scheduler {
+    constructor(emulator, { onFrame, onStats = () => {}, clock = wallClock }) {
+        this.emulator = emulator;
+        this.onFrame = onFrame; // Draws the last frame emulated in an animation frame: (frameBuffer)
+        this.onStats = onStats; // Receives the readout once per second: {fps, speed (% of the NTSC speed)}
+        this.clock = clock; // Current time in seconds
+        this.animationFrame = null; // Request id of the next animation frame while running
+        this.startTime = 0; // Clock time of the first frame emulated
+        this.framesEmulated = 0; // Frames emulated since startTime (plus the ones skipped without emulating them)
+        this.stats = null; // Counters of the readout since its last update: {time, frames (drawn), cycles (emulated)}
+        this.update = this.update.bind(this);
+    }
+
+    get running() {
+        return this.animationFrame !== null;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.synchronize();
+        this.animationFrame = requestAnimationFrame(this.update);
+    }
+
+    stop() {
+        if (this.running) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    setClock(clock) {
+        // Take the time from another clock (e.g. the audio output), the emulation continues from the current frame
+        this.clock = clock;
+        this.synchronize();
+    }
+
+    synchronize() {
+        // Start counting the frames due from the current time
+        this.startTime = this.clock();
+        this.framesEmulated = 0;
+        this.stats = { time: this.startTime, frames: 0, cycles: 0 };
+    }
+
+    update() {
+        // Animation frame callback: emulate the frames due since the last one and draw the last of them
+        this.animationFrame = requestAnimationFrame(this.update);
+        const now = this.clock();
+        let frames = Math.floor((now - this.startTime) * FRAME_RATE) - this.framesEmulated;
+        if (frames > MAX_FRAMES_PER_UPDATE) {
+            this.framesEmulated += frames - MAX_FRAMES_PER_UPDATE;
+            frames = MAX_FRAMES_PER_UPDATE;
+        }
+        if (frames > 0) {
+            // The cycles are counted around the frames, loading a ROM resets the cycle count of the CPU
+            const startCycle = this.emulator.cpu.totalCycles;
+            let frameBuffer;
+            for (let i = 0; i < frames; i++) {
+                frameBuffer = this.emulator.runFrame();
+            }
+            this.framesEmulated += frames;
+            this.stats.cycles += this.emulator.cpu.totalCycles - startCycle;
+            this.stats.frames++;
+            this.onFrame(frameBuffer);
+        }
+
+        const elapsed = now - this.stats.time;
+        if (elapsed >= 1) {
+            const { frames: framesDrawn, cycles } = this.stats;
+            this.onStats({ fps: framesDrawn / elapsed, speed: 100 * cycles / (elapsed * CPU_FREQUENCY) });
+            this.stats = { time: now, frames: 0, cycles: 0 };
+        }
+    }
+}
+
+function wallClock() {
+    return performance.now() / 1000;
+}
+
+export function createScheduler(emulator, options) {
+    // Create the scheduler that runs an emulator while started, options are {onFrame, onStats, clock} (see Scheduler)
+    return new Scheduler(emulator, options);
+}
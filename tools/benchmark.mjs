@@ -0,0 +1,64 @@
+// Headless benchmark of the emulator core: runs a ROM without drawing anything and prints the frames emulated per
+// second and the speed compared to a real NTSC console (100% is real time)
+//
+//   node tools/benchmark.mjs <ROM file> [--frames <count>] [--warmup <count>]
+//
+// The first frames (60 by default, --warmup) run before the measurement so the JIT compiler has optimized the hot
+// paths, then --frames frames (600 by default) are timed. The exit code is 0 after a run and 2 for usage and file
+// errors
+
+import { readFileSync } from 'fs';
+import * as core from '../emulator.js'; // Headless emulator core
+import { CPU_FREQUENCY } from '../apu.js'; // NTSC CPU clock frequency
+
+function main(args) {
+    const options = parseArguments(args);
+    if (options === null) {
+        console.error("Usage: node tools/benchmark.mjs <ROM file> [--frames <count>] [--warmup <count>]");
+        return 2;
+    }
+    const emulator = new core.Emulator();
+    try {
+        emulator.loadRom(new Uint8Array(readFileSync(options.path)));
+    } catch (error) {
+        console.error(`Could not load ${options.path}: ${error.message}`);
+        return 2;
+    }
+
+    for (let i = 0; i < options.warmup; i++) {
+        emulator.runFrame();
+    }
+    const startCycle = emulator.cpu.totalCycles;
+    const startTime = performance.now();
+    for (let i = 0; i < options.frames; i++) {
+        emulator.runFrame();
+    }
+    const seconds = (performance.now() - startTime) / 1000;
+    const cycles = emulator.cpu.totalCycles - startCycle;
+
+    const speed = 100 * cycles / (seconds * CPU_FREQUENCY);
+    console.log(`${options.frames} frames (${cycles} CPU cycles) in ${seconds.toFixed(2)} s: ` +
+        `${(options.frames / seconds).toFixed(1)} frames per second, ${speed.toFixed(0)}% of real time`);
+    return 0;
+}
+
+function parseArguments(args) {
+    // ROM path, --frames and --warmup, null if the arguments are invalid
+    const options = { path: null, frames: 600, warmup: 60 };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--frames" || args[i] === "--warmup") {
+            const count = Number(args[++i]);
+            if (!Number.isInteger(count) || count < 0) {
+                return null;
+            }
+            options[args[i - 1].slice(2)] = count;
+        } else if (options.path === null) {
+            options.path = args[i];
+        } else {
+            return null;
+        }
+    }
+    return (options.path !== null && options.frames > 0) ? options : null;
+}
+
+process.exitCode = main(process.argv.slice(2));
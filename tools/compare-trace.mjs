@@ -0,0 +1,139 @@
+// Run a ROM headlessly and compare its CPU trace with a golden log in the nestest.log format, reporting the first line
+// that diverges (see trace.js for the format)
+//
+//   node tools/compare-trace.mjs <ROM file> <golden log> [--start <hex PC>] [--output <trace file>]
+//
+// --start sets the PC after the RESET sequence, e.g. nestest.nes runs all its tests without a display from $C000
+// (automation mode) and its golden log nestest.log starts there:
+//
+//   node tools/compare-trace.mjs nestest.nes nestest.log --start C000
+//
+// --output writes the trace of the emulator up to the first divergence. The exit code is 0 when every line of the
+// golden log matches, 1 when a line diverges and 2 for usage and file errors
+
+import { readFileSync, writeFileSync } from 'fs';
+import * as core from '../emulator.js'; // Headless emulator core
+
+// Fields of a trace line: PC, bytes and disassembly in fixed columns, then the "name:value" pairs
+const FIELD_NAMES = ["PC", "bytes", "disassembly", "A", "X", "Y", "P", "SP", "PPU", "CYC"];
+
+function main(args) {
+    const options = parseArguments(args);
+    if (options === null) {
+        console.error("Usage: node tools/compare-trace.mjs <ROM file> <golden log> [--start <hex PC>] " +
+            "[--output <trace file>]");
+        return 2;
+    }
+
+    let romData, golden;
+    try {
+        romData = new Uint8Array(readFileSync(options.romPath));
+        golden = readFileSync(options.goldenPath, "utf8").split(/\r?\n/).filter((line) => line.trim() !== "");
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const emulator = new core.Emulator();
+    try {
+        emulator.loadRom(romData);
+    } catch (error) {
+        console.error(`Could not load ${options.romPath}: ${error.message}`);
+        return 2;
+    }
+    // Finish the RESET sequence before moving the PC, so the cycle count and the PPU position are the ones after it
+    emulator.step();
+    if (options.start !== null) {
+        emulator.cpu.pc = options.start;
+    }
+
+    const trace = [];
+    let divergence = null;
+    emulator.on("trace", (line) => {
+        if (divergence !== null || trace.length >= golden.length) {
+            return;
+        }
+        const differences = compareLines(golden[trace.length], line);
+        trace.push(line);
+        if (differences.length > 0) {
+            divergence = differences;
+        }
+    });
+    while (divergence === null && trace.length < golden.length && !emulator.cpu.halted) {
+        emulator.step();
+    }
+
+    if (options.outputPath !== null) {
+        writeFileSync(options.outputPath, trace.join("\n") + "\n");
+    }
+
+    if (divergence !== null) {
+        const lineNumber = trace.length;
+        console.log(`Line ${lineNumber} diverges (${divergence.join(", ")}):`);
+        if (lineNumber > 1) {
+            console.log(`  previous  ${golden[lineNumber - 2]}`);
+        }
+        console.log(`  expected  ${golden[lineNumber - 1]}`);
+        console.log(`  actual    ${trace[lineNumber - 1]}`);
+        return 1;
+    }
+    if (trace.length < golden.length) {
+        // A JAM instruction halted the CPU before the end of the golden log
+        console.log(`The CPU halted after ${trace.length} of ${golden.length} lines:`);
+        console.log(`  last      ${trace[trace.length - 1] ?? "(none)"}`);
+        console.log(`  expected  ${golden[trace.length]}`);
+        return 1;
+    }
+    console.log(`All ${golden.length} lines match`);
+    return 0;
+}
+
+function parseArguments(args) {
+    // Positional ROM and golden log paths and the optional --start and --output, null if the arguments are invalid
+    const options = { romPath: null, goldenPath: null, start: null, outputPath: null };
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--start") {
+            options.start = parseInt((args[++i] ?? "").replace(/^(\$|0x)/i, ""), 16);
+            if (!(options.start >= 0 && options.start <= 0xFFFF)) {
+                return null;
+            }
+        } else if (args[i] === "--output") {
+            options.outputPath = args[++i] ?? null;
+            if (options.outputPath === null) {
+                return null;
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (positional.length !== 2) {
+        return null;
+    }
+    [options.romPath, options.goldenPath] = positional;
+    return options;
+}
+
+function parseTraceLine(line) {
+    // Split a trace line into its fields, the spacing inside the values is ignored ("PPU:  0, 21" is "0,21")
+    const fields = {
+        PC: line.slice(0, 4),
+        bytes: line.slice(6, 14).trim(),
+        disassembly: line.slice(15, 48).trim(),
+    };
+    for (const [, name, value] of line.slice(48).matchAll(/(\w+):\s*(\d+\s*,\s*\d+|\w+)/g)) {
+        fields[name] = value.replace(/\s/g, "");
+    }
+    return fields;
+}
+
+function compareLines(expected, actual) {
+    // Names of the fields that differ, fields missing in the golden line (e.g. logs without the PPU position) are not
+    // compared
+    const expectedFields = parseTraceLine(expected);
+    const actualFields = parseTraceLine(actual);
+    return FIELD_NAMES.filter((name) =>
+        expectedFields[name] !== undefined && expectedFields[name] !== actualFields[name]);
+}
+
+process.exitCode = main(process.argv.slice(2));
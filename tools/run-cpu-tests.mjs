@@ -0,0 +1,184 @@
+// Run single instruction CPU test vectors in the JSON format of the per-opcode community test suites (e.g. the nes6502,
+// 6502 and wdc65c02 tests of https://github.com/SingleStepTests/65x02) and print a pass/fail summary of each opcode
+//
+//   node tools/run-cpu-tests.mjs <JSON file or directory>... [--variant <2A03|6502|65C02>] [--no-bus]
+//                                [--failures <count>]
+//
+// Each file contains an array of tests:
+//   {"name": "b1 28 b5",
+//    "initial": {"pc": 59082, "s": 39, "a": 57, "x": 33, "y": 174, "p": 96, "ram": [[59082, 177], ...]},
+//    "final":   {"pc": 59084, "s": 39, "a": 57, "x": 33, "y": 174, "p": 224, "ram": [[59082, 177], ...]},
+//    "cycles":  [[59082, 177, "read"], [59083, 40, "read"], ...]}
+// The CPU starts from the initial registers with the listed RAM bytes (the rest of the 64KB is zero), executes one
+// instruction and its final registers, RAM bytes, cycle count and bus accesses (one per cycle, in order) are compared
+// with the expected ones. --variant selects the CPU variant that runs the tests (2A03 by default), --no-bus skips the
+// comparison of the bus accesses, --failures sets how many failed tests of each opcode are described (1 by default).
+// The exit code is 0 when every test passes, 1 when some test fails and 2 for usage and file errors
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import * as core from '../emulator.js'; // Headless emulator core
+import { createRamBus } from '../bus.js'; // RAM only bus that records the CPU accesses
+import { opcodeTables } from '../decode.js'; // Opcode tables of the CPU variants
+
+// Registers in the test vectors and the CPU state
+const REGISTERS = { pc: "pc", s: "sp", a: "a", x: "x", y: "y", p: "status" };
+
+function main(args) {
+    const options = parseArguments(args);
+    if (options === null) {
+        console.error("Usage: node tools/run-cpu-tests.mjs <JSON file or directory>... " +
+            "[--variant <2A03|6502|65C02>] [--no-bus] [--failures <count>]");
+        return 2;
+    }
+    let files;
+    try {
+        files = options.paths.flatMap(listTestFiles);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const emulator = new core.Emulator();
+    emulator.setVariant(options.variant);
+    const bus = createRamBus(() => emulator.cpu.totalCycles);
+    emulator.connectBus(bus);
+
+    const results = new Map(); // Results of each opcode: {total, passed, failures}
+    for (const file of files) {
+        let tests;
+        try {
+            tests = JSON.parse(readFileSync(file, "utf8"));
+        } catch (error) {
+            console.error(`Could not read ${file}: ${error.message}`);
+            return 2;
+        }
+        for (const test of tests) {
+            const differences = runTest(emulator, bus, test, options);
+            const opcode = test.initial.ram.find(([address]) => address === test.initial.pc)?.[1] ?? 0;
+            if (!results.has(opcode)) {
+                results.set(opcode, { total: 0, passed: 0, failures: [] });
+            }
+            const result = results.get(opcode);
+            result.total++;
+            if (differences.length === 0) {
+                result.passed++;
+            } else if (result.failures.length < options.failures) {
+                result.failures.push({ name: test.name, differences });
+            }
+        }
+    }
+
+    let total = 0;
+    let passed = 0;
+    for (const opcode of [...results.keys()].sort((a, b) => a - b)) {
+        const result = results.get(opcode);
+        const instruction = opcodeTables[options.variant][opcode];
+        const description = `${instruction.instructionName} ${instruction.addressingMode}`.padEnd(10);
+        const status = (result.passed === result.total) ? "pass" : "FAIL";
+        console.log(`${hex(opcode, 2)} ${description} ${status} ${result.passed}/${result.total}`);
+        for (const failure of result.failures) {
+            console.log(`    ${failure.name}: ${failure.differences.join(", ")}`);
+        }
+        total += result.total;
+        passed += result.passed;
+    }
+    const failedOpcodes = [...results.values()].filter((result) => result.passed < result.total).length;
+    console.log(`${passed}/${total} tests passed, ${failedOpcodes} of ${results.size} opcodes with failures`);
+    return (passed === total) ? 0 : 1;
+}
+
+function parseArguments(args) {
+    // Test file and directory paths, --variant, --no-bus and --failures, null if the arguments are invalid
+    const options = { paths: [], variant: "2A03", compareBus: true, failures: 1 };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--variant") {
+            options.variant = (args[++i] ?? "").toUpperCase();
+            if (opcodeTables[options.variant] === undefined) {
+                return null;
+            }
+        } else if (args[i] === "--no-bus") {
+            options.compareBus = false;
+        } else if (args[i] === "--failures") {
+            options.failures = Number(args[++i]);
+            if (!Number.isInteger(options.failures) || options.failures < 0) {
+                return null;
+            }
+        } else {
+            options.paths.push(args[i]);
+        }
+    }
+    return (options.paths.length > 0) ? options : null;
+}
+
+function listTestFiles(path) {
+    // JSON files of a directory (sorted by name) or the file itself
+    if (!statSync(path).isDirectory()) {
+        return [path];
+    }
+    return readdirSync(path).filter((name) => name.endsWith(".json")).sort().map((name) => join(path, name));
+}
+
+function runTest(emulator, bus, test, options) {
+    // Execute the instruction of a test and return the differences with the expected final state (empty if it passes)
+    bus.ram.fill(0);
+    for (const [address, value] of test.initial.ram) {
+        bus.ram[address] = value;
+    }
+    const state = {};
+    for (const [name, register] of Object.entries(REGISTERS)) {
+        state[register] = test.initial[name];
+    }
+    emulator.setCpuState(state);
+    bus.accesses = [];
+    const startCycle = emulator.cpu.totalCycles;
+    emulator.step();
+    const cycles = emulator.cpu.totalCycles - startCycle;
+
+    const differences = [];
+    for (const [name, register] of Object.entries(REGISTERS)) {
+        // The B flag and bit 5 do not exist in the status register, so they are not compared
+        const mask = (name === "p") ? 0xCF : 0xFFFF;
+        const expected = test.final[name] & mask;
+        const actual = emulator.cpu[register] & mask;
+        if (expected !== actual) {
+            const digits = (name === "pc") ? 4 : 2;
+            differences.push(`${name} ${hex(actual, digits)} (expected ${hex(expected, digits)})`);
+        }
+    }
+    for (const [address, expected] of test.final.ram) {
+        if (bus.ram[address] !== expected) {
+            differences.push(`$${hex(address, 4)} = ${hex(bus.ram[address], 2)} (expected ${hex(expected, 2)})`);
+        }
+    }
+    if (cycles !== test.cycles.length) {
+        differences.push(`${cycles} cycles (expected ${test.cycles.length})`);
+    }
+    if (options.compareBus) {
+        // First bus access that differs, the cycle is counted from the first cycle of the instruction
+        const count = Math.max(bus.accesses.length, test.cycles.length);
+        for (let i = 0; i < count; i++) {
+            const expected = test.cycles[i];
+            const access = bus.accesses[i];
+            if (expected === undefined || access === undefined || expected[0] !== access.address ||
+                expected[1] !== access.value || expected[2] !== access.type) {
+                const actualText = access ? `${formatAccess(access)} at cycle ${access.cycle - startCycle}` : "none";
+                const expectedText = expected ?
+                    formatAccess({ address: expected[0], value: expected[1], type: expected[2] }) : "none";
+                differences.push(`bus access ${i} ${actualText} (expected ${expectedText})`);
+                break;
+            }
+        }
+    }
+    return differences;
+}
+
+function formatAccess(access) {
+    return `${access.type} $${hex(access.address, 4)} = ${hex(access.value, 2)}`;
+}
+
+function hex(value, digits) {
+    return value.toString(16).toUpperCase().padStart(digits, "0");
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,107 @@
+// CPU trace in the format of nestest.log, the golden log of the nestest ROM, so traces of the emulator can be compared
+// line by line with it (and with the traces of other emulators that use the same format)
+// https://www.nesdev.org/wiki/Emulator_tests
+/*
+C000  4C F5 C5  JMP $C5F5                       A:00 X:00 Y:00 P:24 SP:FD PPU:  0, 21 CYC:7
+C72E  85 01     STA $01 = FF                    A:00 X:00 Y:00 P:27 SP:FB PPU:  0, 42 CYC:14
+DBB5  04 A9    *NOP $A9 = 00                    A:AA X:97 Y:4E P:EF SP:F5 PPU:  0, 51 CYC:17
+
+PC, bytes of the instruction, disassembly (unofficial opcodes are marked with *), registers before the instruction is
+executed (P with bit 5 set and the B flag clear), PPU scanline and dot, and CPU cycles since power on
+*/
+
+import { VARIANTS } from './decode.js'; // CPU variants
+
+export function formatTraceLine(cpu, ppu) {
+    // Trace line of the instruction at the PC, called before the instruction is executed. Memory is read with peek, so
+    // tracing has no side effects on the registers of the PPU and other devices
+    const bus = cpu.bus;
+    const opcode = bus.peek(cpu.pc);
+    const instruction = cpu.opcodeTable[opcode];
+    const bytes = [];
+    for (let i = 0; i < instruction.size; i++) {
+        bytes.push(bus.peek(cpu.pc + i));
+    }
+    const marker = instruction.unofficial ? "*" : " ";
+    const disassembly = `${marker}${instruction.instructionName} ${disassembleOperand(cpu, instruction, bytes)}`;
+
+    return `${hex(cpu.pc, 4)}  ${bytes.map((byte) => hex(byte, 2)).join(" ").padEnd(8)} ` +
+        `${disassembly.trimEnd().padEnd(33)}` +
+        `A:${hex(cpu.a, 2)} X:${hex(cpu.x, 2)} Y:${hex(cpu.y, 2)} ` +
+        `P:${hex(cpu.status | 0x20, 2)} SP:${hex(cpu.sp, 2)} ` +
+        `PPU:${String(ppu.state.scanline).padStart(3)},${String(ppu.state.dot).padStart(3)} CYC:${cpu.totalCycles}`;
+}
+
+function disassembleOperand(cpu, instruction, bytes) {
+    // Operand of the instruction in assembly syntax followed by the address and value it accesses, as nestest.log
+    // shows them: effective address after "@" and value at that address after "="
+    const bus = cpu.bus;
+    const low = bytes[1];
+    const word = low | (bytes[2] << 8);
+    // Pointer read with the page wrap of the CPU (the high byte is read from the same page)
+    const peekWord = (address) => bus.peek(address) | (bus.peek((address & 0xFF00) | ((address + 1) & 0x00FF)) << 8);
+    // JMP and JSR do not access memory at their operand address, so the value is not shown
+    const value = (address) => ["JMP", "JSR"].includes(instruction.instructionName) ?
+        "" : ` = ${hex(bus.peek(address), 2)}`;
+
+    switch (instruction.addressingMode) {
+    case "A":
+        return "A";
+    case "#":
+        return `#$${hex(low, 2)}`;
+    case "impl":
+        return "";
+    case "rel":
+        // Branch target: address of the next instruction plus the signed offset
+        return `$${hex((cpu.pc + 2 + ((low ^ 0x80) - 0x80)) & 0xFFFF, 4)}`;
+    case "zpg":
+        return `$${hex(low, 2)}${value(low)}`;
+    case "zpg,rel":
+        // BBR and BBS: tested zeropage byte and branch target
+        return `$${hex(low, 2)}${value(low)}, $${hex((cpu.pc + 3 + ((bytes[2] ^ 0x80) - 0x80)) & 0xFFFF, 4)}`;
+    case "zpg,X":
+    case "zpg,Y": {
+        const index = (instruction.addressingMode === "zpg,X") ? cpu.x : cpu.y;
+        const address = (low + index) & 0xFF;
+        return `$${hex(low, 2)},${instruction.addressingMode.slice(-1)} @ ${hex(address, 2)}${value(address)}`;
+    }
+    case "abs":
+        return `$${hex(word, 4)}${value(word)}`;
+    case "abs,X":
+    case "abs,Y": {
+        const index = (instruction.addressingMode === "abs,X") ? cpu.x : cpu.y;
+        const address = (word + index) & 0xFFFF;
+        return `$${hex(word, 4)},${instruction.addressingMode.slice(-1)} @ ${hex(address, 4)}${value(address)}`;
+    }
+    case "ind": {
+        // JMP ($xxFF) reads the high byte of the target from $xx00 (page wrap bug), except on the 65C02
+        const target = (cpu.variant === VARIANTS.WDC_65C02) ?
+            (bus.peek(word) | (bus.peek((word + 1) & 0xFFFF) << 8)) : peekWord(word);
+        return `($${hex(word, 4)}) = ${hex(target, 4)}`;
+    }
+    case "zpg,ind": {
+        const address = peekWord(low);
+        return `($${hex(low, 2)}) = ${hex(address, 4)}${value(address)}`;
+    }
+    case "abs,X,ind": {
+        const pointer = (word + cpu.x) & 0xFFFF;
+        const target = bus.peek(pointer) | (bus.peek((pointer + 1) & 0xFFFF) << 8);
+        return `($${hex(word, 4)},X) @ ${hex(pointer, 4)} = ${hex(target, 4)}`;
+    }
+    case "X,ind": {
+        const pointer = (low + cpu.x) & 0xFF;
+        const address = peekWord(pointer);
+        return `($${hex(low, 2)},X) @ ${hex(pointer, 2)} = ${hex(address, 4)}${value(address)}`;
+    }
+    case "ind,Y": {
+        const base = peekWord(low);
+        const address = (base + cpu.y) & 0xFFFF;
+        return `($${hex(low, 2)}),Y = ${hex(base, 4)} @ ${hex(address, 4)}${value(address)}`;
+    }
+    }
+    return "";
+}
+
+function hex(value, digits) {
+    return value.toString(16).toUpperCase().padStart(digits, "0");
+}
@@ -0,0 +1,33 @@
+// WAV file encoding of the audio recordings of the mixer panel: mono 16 bit PCM in a RIFF container
+// http://soundfile.sapp.org/doc/WaveFormat/
+
+const HEADER_SIZE = 44; // Bytes of the RIFF header and the "fmt " and "data" chunk headers
+
+export function encodeWav(samples, sampleRate) {
+    // WAV file (an ArrayBuffer) of the samples (a Float32Array from -1 to 1, values out of range are clipped)
+    const buffer = new ArrayBuffer(HEADER_SIZE + 2 * samples.length);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+    writeText(0, "RIFF");
+    view.setUint32(4, buffer.byteLength - 8, true);
+    writeText(8, "WAVE");
+    writeText(12, "fmt ");
+    view.setUint32(16, 16, true); // Size of the fmt chunk
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Channels
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, 2 * sampleRate, true); // Bytes per second
+    view.setUint16(32, 2, true); // Bytes per frame
+    view.setUint16(34, 16, true); // Bits per sample
+    writeText(36, "data");
+    view.setUint32(40, 2 * samples.length, true);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(HEADER_SIZE + 2 * i, Math.round(sample * 0x7FFF), true);
+    }
+    return buffer;
+}